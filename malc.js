@@ -9,8 +9,15 @@
         // AMD. Register as an anonymous module
         define(['p5'], factory);
     } else if (typeof module === 'object' && module.exports) {
-        // Node. Does not work with strict CommonJS
-        module.exports = factory(require('p5'));
+        // Node. Does not work with strict CommonJS. p5 is optional so the
+        // engine can also run headless
+        let p5lib;
+        try {
+            p5lib = require('p5');
+        } catch (e) {
+            p5lib = undefined;
+        }
+        module.exports = factory(p5lib);
     } else {
         // Browser globals (root is window)
         root.MALC = factory(root.p5);
@@ -20,17 +27,50 @@
 // Store reference to p5 instance
 const _p5 = p5;
 
+// Drawing context every render call goes through. This is the p5 prototype
+// in a browser, or a stub renderer when running headless
+let _p = _p5 ? _p5.prototype : null;
+
 // ========== GLOBAL ARRAYS ==========
-const MALCgameObjects = [];
-const MALCbuttons = [];
-const MALCScene = [];
+// These belong to the world that is currently running (see WORLDS below)
+let MALCgameObjects = [];
+let MALCbuttons = [];
+let MALCScene = [];
 var UIPlanes = [];
 var buttonsToggled = true;
+let MALCTweens = []; // running tweens and tween groups
+let MALCObjectsById = new Map(); // id -> gameObject, for constant-time lookups
+let MALCDestroyQueue = []; // destroyed this frame, dropped from the arrays once the frame ends
+
+// The world (MALC itself or one made by MALC.createWorld) engine code is running for
+let engine = null;
 
 // ========== GRAVITY CONSTANTS ==========
 const GRAVITY = 0.5;
 const TERMINAL_VELOCITY = 20;
 
+// ========== TIMING CONSTANTS ==========
+// Velocities and gravity are expressed per reference tick (1/60 s), so a
+// tick rate other than 60 scales movement instead of changing game speed
+const REFERENCE_TICK_RATE = 60;
+const DEFAULT_TICK_RATE = 60;
+const MAX_FRAME_TIME = 0.25; // seconds of real time accepted per frame
+const MAX_STEPS_PER_FRAME = 5;
+
+// ========== PIPELINE STAGES ==========
+// Input runs once per frame, scripts, physics and lateUpdate once per fixed tick,
+// and render/UI once per frame
+const PIPELINE_STAGES = ["input", "scripts", "physics", "lateUpdate", "render", "ui"];
+
+// ========== RENDER LAYERS ==========
+// Default draw order of a scene's layers, back to front. Objects go on "world"
+const RENDER_LAYERS = ["background", "world", "foreground", "overlay"];
+const DEFAULT_LAYER = "world";
+
+function createLayers() {
+    return RENDER_LAYERS.map(name => ({ name: name, visible: true, ySort: false }));
+}
+
 // ========== MODE CONSTANTS ==========
 const MODE_2D = "2D";
 const MODE_3D = "3D";
@@ -40,19 +80,220 @@ function getTimestamp() {
     return new Date().getTime();
 }
 
+// High resolution clock (milliseconds) used by the simulation loop
+function getHighResTime() {
+    if (typeof performance !== 'undefined' && typeof performance.now == 'function') {
+        return performance.now();
+    }
+    return Date.now();
+}
+
 function generateId(prefix) {
     return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+function isPlainObject(value) {
+    return value !== null && typeof value == "object" && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Copy of base with override laid over it. Plain objects merge key by key;
+// arrays and everything else are replaced
+function mergeDeep(base, override) {
+    let result = isPlainObject(base) ? { ...base } : {};
+    Object.keys(override || {}).forEach(key => {
+        let value = override[key];
+        if (isPlainObject(value) && isPlainObject(result[key])) {
+            result[key] = mergeDeep(result[key], value);
+        } else {
+            result[key] = copyData(value);
+        }
+    });
+    return result;
+}
+
+// Deep copy of plain objects and arrays; anything else is shared
+function copyData(value) {
+    if (isPlainObject(value)) return mergeDeep({}, value);
+    if (Array.isArray(value)) return value.map(copyData);
+    return value;
+}
+
+// Remove every item in the set from arr without replacing the array
+function removeAllFrom(arr, items) {
+    let kept = 0;
+    for (let i = 0; i < arr.length; i++) {
+        if (!items.has(arr[i])) arr[kept++] = arr[i];
+    }
+    arr.length = kept;
+}
+
+// ========== HEADLESS RENDERER ==========
+// Stand-in for p5 when there is no browser or canvas. Drawing calls do
+// nothing, while the math, color and text helpers the engine relies on
+// return sensible values so game logic behaves the same as in a sketch
+const HEADLESS_DRAW_CALLS = [
+    "push", "pop", "translate", "rotate", "scale", "resetMatrix",
+    "rectMode", "ellipseMode", "imageMode",
+    "fill", "noFill", "stroke", "noStroke", "strokeWeight", "tint", "noTint",
+    "background", "clear", "rect", "square", "ellipse", "circle", "arc",
+    "line", "point", "triangle", "quad", "beginShape", "vertex", "endShape",
+    "image", "text", "textAlign", "textStyle", "textFont",
+    "cursor", "noCursor"
+];
+
+const HEADLESS_COLOR_NAMES = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], lime: [0, 255, 0],
+    green: [0, 128, 0], blue: [0, 0, 255], yellow: [255, 255, 0], cyan: [0, 255, 255],
+    magenta: [255, 0, 255], gray: [128, 128, 128], grey: [128, 128, 128], orange: [255, 165, 0]
+};
+
+// Named and hex (#rgb / #rrggbb) colors; anything else is white
+function parseHeadlessColor(str) {
+    let name = str.trim().toLowerCase();
+    if (HEADLESS_COLOR_NAMES[name]) return [...HEADLESS_COLOR_NAMES[name], 255];
+    
+    let hex = name.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+        let digits = hex[1].length === 3 ? hex[1].split("").map(d => d + d) : hex[1].match(/../g);
+        return [...digits.map(d => parseInt(d, 16)), 255];
+    }
+    
+    let rgb = name.match(/^rgba?\(([^)]*)\)$/);
+    if (rgb) {
+        let [r, g, b, a = 1] = rgb[1].split(",").map(Number);
+        return [r, g, b, Math.round(a * 255)];
+    }
+    return [255, 255, 255, 255];
+}
+
+function createHeadlessRenderer(width = 800, height = 600) {
+    const renderer = {
+        headless: true,
+        
+        CENTER: "center",
+        LEFT: "left",
+        RIGHT: "right",
+        CORNER: "corner",
+        TOP: "top",
+        BOTTOM: "bottom",
+        BASELINE: "alphabetic",
+        DEGREES: "degrees",
+        RADIANS: "radians",
+        CLOSE: "close",
+        
+        width: width,
+        height: height,
+        mouseX: 0,
+        mouseY: 0,
+        mouseIsPressed: false,
+        
+        _angleMode: "radians",
+        _textSize: 12,
+        
+        angleMode(mode) {
+            if (mode !== undefined) this._angleMode = mode;
+            return this._angleMode;
+        },
+        
+        _toRadians(angle) {
+            return this._angleMode === this.DEGREES ? angle * Math.PI / 180 : angle;
+        },
+        
+        _fromRadians(angle) {
+            return this._angleMode === this.DEGREES ? angle * 180 / Math.PI : angle;
+        },
+        
+        cos(angle) { return Math.cos(this._toRadians(angle)); },
+        sin(angle) { return Math.sin(this._toRadians(angle)); },
+        atan(value) { return this._fromRadians(Math.atan(value)); },
+        atan2(y, x) { return this._fromRadians(Math.atan2(y, x)); },
+        constrain(value, low, high) { return Math.max(Math.min(value, high), low); },
+        lerp(start, stop, amount) { return start + (stop - start) * amount; },
+        
+        // Colors are kept as plain [r, g, b, a] arrays
+        color(...args) {
+            if (args.length === 1 && Array.isArray(args[0])) args = args[0];
+            if (args.length === 1 && args[0] && args[0].headlessColor) return args[0];
+            
+            let levels;
+            if (args.length === 1 && typeof args[0] == "string") {
+                levels = parseHeadlessColor(args[0]);
+            } else if (args.length === 1 && typeof args[0] == "number") {
+                levels = [args[0], args[0], args[0], 255];
+            } else if (args.length === 2) {
+                levels = [args[0], args[0], args[0], args[1]];
+            } else if (args.length >= 3) {
+                levels = [args[0], args[1], args[2], args.length > 3 ? args[3] : 255];
+            } else {
+                levels = [255, 255, 255, 255];
+            }
+            return { headlessColor: true, levels: levels };
+        },
+        red(c) { return this.color(c).levels[0]; },
+        green(c) { return this.color(c).levels[1]; },
+        blue(c) { return this.color(c).levels[2]; },
+        alpha(c) { return this.color(c).levels[3]; },
+        lerpColor(from, to, amount) {
+            let a = this.color(from).levels;
+            let b = this.color(to).levels;
+            return this.color(a.map((v, i) => v + (b[i] - v) * amount));
+        },
+        
+        textSize(size) {
+            if (size === undefined) return this._textSize;
+            this._textSize = size;
+        },
+        textLeading() { return this._textSize * 1.25; },
+        textWidth(str) { return String(str).length * this._textSize * 0.5; },
+        
+        // Nothing can be decoded without a browser, so images have no size
+        loadImage(path) { return { headlessImage: true, path: path, width: 0, height: 0 }; }
+    };
+    
+    HEADLESS_DRAW_CALLS.forEach(name => {
+        renderer[name] = function() {};
+    });
+    
+    return renderer;
+}
+
+if (!_p) _p = createHeadlessRenderer();
+
+// Whether a browser window is available for input listeners
+function hasWindow() {
+    return typeof window !== 'undefined' && typeof window.addEventListener == 'function';
+}
+
+// Attach a map of { eventType: listener } to the window (or another element) and
+// return it so the same listeners can be removed again
+function addWindowListeners(listeners, target = window) {
+    Object.entries(listeners).forEach(([type, listener]) => target.addEventListener(type, listener));
+    return listeners;
+}
+
+function removeWindowListeners(listeners, target) {
+    if (!listeners || !hasWindow()) return;
+    target = target || window;
+    Object.entries(listeners).forEach(([type, listener]) => target.removeEventListener(type, listener));
+}
+
+// Canvas element of a p5 instance, once createCanvas has run
+function getSketchCanvas(sketch) {
+    if (!sketch) return null;
+    if (sketch.canvas && typeof sketch.canvas.addEventListener == "function") return sketch.canvas;
+    let elt = sketch._renderer && sketch._renderer.elt;
+    return elt && typeof elt.addEventListener == "function" ? elt : null;
+}
+
 // ========== COLORED TEXT FUNCTION (STANDALONE) ==========
 function coloredText(str, x, y, horizontal, vertical, maxWidth) {
-    const p = _p5.prototype; // Use the current p5 instance
+    const p = _p; // Use the current p5 instance
     const parts = parseColoredText(str);
     let currentX = x;
     let currentY = y;
     
     p.push();
-    p.textAlign(horizontal || LEFT, vertical || BASELINE);
+    p.textAlign(horizontal || p.LEFT, vertical || p.BASELINE);
     
     for (const part of parts) {
         if (part.isNewline) {
@@ -131,10 +372,75 @@ function parseColoredText(str) {
     return result;
 }
 
+// ========== EVENT EMITTER ==========
+// Named events with any number of listeners. Scenes, game objects and UI
+// planes get this through ModeAware; MALC.on/off/emit is the engine-wide bus
+class EventEmitter {
+    constructor() {
+        this._eventListeners = {};
+    }
+    
+    on(event, listener) {
+        if (typeof listener != "function") {
+            console.error(`Listener for "${event}" must be a function`);
+            return this;
+        }
+        if (!this._eventListeners[event]) this._eventListeners[event] = [];
+        this._eventListeners[event].push({ listener: listener, once: false });
+        return this;
+    }
+    
+    // Listen for the next emit of event only
+    once(event, listener) {
+        this.on(event, listener);
+        let entries = this._eventListeners[event];
+        if (entries) entries[entries.length - 1].once = true;
+        return this;
+    }
+    
+    // off(event, listener) removes one listener, off(event) all for that event, off() everything
+    off(event, listener) {
+        if (event === undefined) {
+            this._eventListeners = {};
+        } else if (listener === undefined) {
+            delete this._eventListeners[event];
+        } else if (this._eventListeners[event]) {
+            this._eventListeners[event] = this._eventListeners[event].filter(e => e.listener != listener);
+        }
+        return this;
+    }
+    
+    emit(event, ...args) {
+        let entries = this._eventListeners[event];
+        if (!entries || entries.length === 0) return false;
+        
+        // Listeners added or removed while emitting take effect next time
+        [...entries].forEach(entry => {
+            if (entry.once && !this.removeEntry(event, entry)) return; // already fired by a nested emit
+            entry.listener.apply(this, args);
+        });
+        return true;
+    }
+    
+    // Remove one registration, leaving other registrations of the same function alone
+    removeEntry(event, entry) {
+        let entries = this._eventListeners[event];
+        let index = entries ? entries.indexOf(entry) : -1;
+        if (index == -1) return false;
+        entries.splice(index, 1);
+        return true;
+    }
+    
+    listenerCount(event) {
+        return this._eventListeners[event] ? this._eventListeners[event].length : 0;
+    }
+}
+
 // ========== MODE-AWARE BASE CLASS ==========
-class ModeAware {
+class ModeAware extends EventEmitter {
     constructor() {
-        this.mode = MALC.mode;
+        super();
+        this.mode = engine.mode;
     }
     
     isMode2D() {
@@ -153,210 +459,843 @@ class ModeAware {
     }
 }
 
-// ========== SCENE CLASS (MODE-AWARE) ==========
-class Scene extends ModeAware {
-    static scenes = [];
-    static activeScene = "blank";
-    static started = false;
-    static sceneHistory = [];
-    static historyLimit = 10;
-
-    static update() {
-        this.started = true;
-        this.scenes = MALCScene;
+// ========== TIMER CLASS ==========
+// Runs a callback after a delay (or every delay) of scene time. Created with
+// scene.after()/scene.every(), so it pauses and scales with its scene
+class Timer {
+    constructor(scene, delay, callback, repeat = false) {
+        this.id = generateId('timer');
+        this.scene = scene;
+        this.delay = Math.max(0, Number(delay) || 0);
+        this.callback = callback;
+        this.repeat = repeat;
+        this.elapsed = 0;
+        this.count = 0;
+        this.active = true;
+        this.paused = false;
+    }
+    
+    // Milliseconds of scene time until the next call
+    get remaining() {
+        return Math.max(0, this.delay - this.elapsed);
+    }
+    
+    update(ms) {
+        if (!this.active || this.paused) return;
         
-        let activeSceneFound = false;
+        this.elapsed += ms;
         
-        this.scenes.forEach(S => {
-            if (S.id == this.activeScene) {
-                activeSceneFound = true;
-                
-                this.scenes.forEach(s => {
-                    if (s != S) {
-                        s._active = false;
-                        s.active = false;
-                        
-                        s.objects.forEach(o => {
-                            if (o && typeof o.active !== 'undefined') o.active = false;
-                        });
-                    }
-                });
-                
-                S.active = true;
-                
-                if (!S._active) {
-                    S.activated = MALC.time.getTime();
-                    if (typeof S.onActivate == 'function') S.onActivate();
-                }
-                
-                S._active = true;
-                S.timeActive = MALC.time.getTime() - S.activated;
-                
-                S.objects.forEach(o => {
-                    if (o && typeof o.active !== 'undefined') o.active = true;
-                });
-                
-                _p5.prototype.push();
-                
-                // Camera rendering is now handled by the MALC camera object
-                if (MALC.camera && typeof MALC.camera.render == 'function') {
-                    MALC.camera.render();
-                }
-                
-                S.render();
-                
-                _p5.prototype.pop();
+        while (this.active && this.elapsed >= this.delay) {
+            this.elapsed -= this.delay;
+            this.count++;
+            
+            if (!this.repeat) this.active = false;
+            if (typeof this.callback == "function") this.callback(this.scene, this);
+            
+            // A zero-delay repeating timer fires once per step rather than forever
+            if (this.delay === 0) {
+                this.elapsed = 0;
+                break;
             }
-        });
-        
-        if (!activeSceneFound && this.activeScene != "blank") {
-            console.warn(`Scene "${this.activeScene}" not found, switching to blank`);
-            this.activeScene = "blank";
         }
     }
     
-    static getSceneById(id) {
-        return MALCScene.find(scene => scene.id == id) || null;
+    cancel() {
+        this.active = false;
+        return this;
     }
     
-    static getActiveScene() {
-        return this.getSceneById(this.activeScene);
+    pause() {
+        this.paused = true;
+        return this;
     }
     
-    static switchToScene(id, addToHistory = true) {
-        let scene = this.getSceneById(id);
-        if (scene) {
-            if (addToHistory && this.activeScene) {
-                this.sceneHistory.push(this.activeScene);
-                if (this.sceneHistory.length > this.historyLimit) {
-                    this.sceneHistory.shift();
-                }
-            }
-            this.activeScene = id;
+    resume() {
+        this.paused = false;
+        return this;
+    }
+}
+
+// ========== COROUTINE CLASS ==========
+// Runs a generator function across simulation steps. Inside it, yield
+// MALC.wait(ms), MALC.until(fn), another coroutine or generator to wait for it
+// to finish, or nothing to carry on next step. Started with
+// obj.startCoroutine() or scene.startCoroutine(), so it follows their time scale
+function coroutineWait(ms) {
+    return { coroutine: "wait", ms: Math.max(0, Number(ms) || 0) };
+}
+
+function coroutineUntil(condition) {
+    if (typeof condition != "function") {
+        console.error("MALC.until expects a function");
+        condition = () => true;
+    }
+    return { coroutine: "until", condition: condition };
+}
+
+class Coroutine {
+    constructor(owner, routine, ...args) {
+        this.id = generateId('coroutine');
+        this.owner = owner;
+        this.state = "running";
+        this.waiting = null;
+        this.value = undefined;
+        this.attached = false; // true when the owner steps it
+        this.advancing = false; // inside iterator.next(), where return() would throw
+        
+        if (typeof routine == "function") routine = routine.call(owner, owner, ...args);
+        
+        if (routine && typeof routine.next == "function") {
+            this.iterator = routine;
         } else {
-            console.error(`Cannot switch to scene "${id}" - not found`);
+            console.error("Coroutines need a generator function, e.g. function* () { yield MALC.wait(500); }");
+            this.iterator = null;
+            this.state = "finished";
         }
     }
     
-    static goBack() {
-        if (this.sceneHistory.length > 0) {
-            let previousScene = this.sceneHistory.pop();
-            this.switchToScene(previousScene, false);
-            return true;
-        }
-        return false;
+    get done() {
+        return this.state == "finished" || this.state == "stopped";
     }
     
-    static getAllScenes() {
-        return [...MALCScene];
+    // Advance by ms of owner time
+    update(ms) {
+        if (this.state != "running") return;
+        
+        if (this.waiting && !this.isSatisfied(this.waiting, ms)) return;
+        this.advance();
     }
     
-    static getScenesWithObject(object) {
-        return MALCScene.filter(scene => scene.objects.includes(object));
+    // Run the generator until it yields something that isn't ready yet
+    advance() {
+        while (this.state == "running") {
+            let resumeWith = this.waiting && this.waiting.child ? this.waiting.child.value : undefined;
+            this.waiting = null;
+            
+            let result;
+            this.advancing = true;
+            try {
+                result = this.iterator.next(resumeWith);
+            } finally {
+                this.advancing = false;
+            }
+            
+            // Stopped from inside, e.g. by destroying its own object
+            if (this.state != "running") {
+                if (this.state == "stopped") this.finishGenerator();
+                return;
+            }
+            
+            if (result.done) {
+                this.value = result.value;
+                this.state = "finished";
+                return;
+            }
+            
+            this.waiting = this.toWaiting(result.value);
+            if (!this.waiting || !this.isSatisfied(this.waiting, 0)) return;
+        }
     }
     
-    static getScenesByTag(tag) {
-        return MALCScene.filter(scene => scene.hasTag(tag));
-    }
-
-    constructor(id, backgroundColor, ...scripts) {
-        super();
-        MALCScene.forEach(s => {
-            if (s.id == id || typeof id != "string") {
-                throw new Error(`Scenes must have unique IDs and be strings. Duplicate/Invalid ID: "${id}"`);
-            }
-        });
-        
-        this.id = id;
-        this.backColor = backgroundColor;
-        this.scripts = scripts;
+    toWaiting(yielded) {
+        if (yielded === undefined || yielded === null) return { nextStep: true };
         
-        this.objects = [];
-        this.uiPlanes = [];
-        
-        this.active = false;
-        this._active = false;
-        this.activated = 0;
-        this.timeActive = -1;
+        if (yielded.coroutine == "wait") return { remaining: yielded.ms };
+        if (yielded.coroutine == "until") return { condition: yielded.condition };
         
-        this.tags = [];
-        this.paused = false;
-        this.transition = null;
-        this.onActivateCallbacks = [];
-        this.onDeactivateCallbacks = [];
-        this.onUpdateCallbacks = [];
+        if (yielded instanceof Coroutine) return { child: yielded };
+        if (typeof yielded == "function" || typeof yielded.next == "function") {
+            return { child: new Coroutine(this.owner, yielded) };
+        }
         
-        this.sceneInstance = MALCScene.length;
-        MALCScene.push(this);
+        console.warn("Unknown value yielded from a coroutine; continuing next step");
+        return { nextStep: true };
     }
     
-    render() {
-        if (this.paused) return;
-        
-        if (this.transition) {
-            this.applyTransition();
+    isSatisfied(waiting, ms) {
+        if (waiting.nextStep) {
+            // Ready on the step after the yield
+            if (ms === 0) return false;
+            return true;
         }
         
-        _p5.prototype.background(this.backColor);
+        if (waiting.remaining !== undefined) {
+            waiting.remaining -= ms;
+            return waiting.remaining <= 0;
+        }
         
-        this.scripts.forEach(exe => {
-            if (typeof exe == "function") exe(this);
-        });
+        if (waiting.condition) return !!waiting.condition(this.owner);
         
-        this.onUpdateCallbacks.forEach(cb => {
-            if (typeof cb == "function") cb(this);
-        });
+        // Children started elsewhere are stepped by their own owner
+        if (!waiting.child.attached) waiting.child.update(ms);
+        return waiting.child.done;
+    }
+    
+    stop() {
+        if (this.done) return this;
         
-        this.objects.forEach(o => {
-            if (o && typeof o.update == "function") {
-                o.update(true);
-            }
-            if (o && typeof o.render == "function") {
-                o.render();
-            }
-        });
+        this.state = "stopped";
         
-        if (typeof UIPlanes !== 'undefined' && UIPlanes.length > 0) {
-            UIPlanes.forEach(ui => {
-                if (ui && typeof ui.belongsToScene == "function" && ui.belongsToScene(this.id)) {
-                    ui.render();
-                }
-            });
+        if (this.waiting && this.waiting.child && !this.waiting.child.attached) {
+            this.waiting.child.stop();
         }
+        this.waiting = null;
         
-        this.uiPlanes.forEach(ui => {
-            if (ui && typeof ui.render == "function") {
-                ui.render();
-            }
-        });
-        
-        MALCScene[this.sceneInstance] = this;
+        // A running generator can't be returned; advance() does it once next() comes back
+        if (!this.advancing) this.finishGenerator();
+        return this;
     }
     
-    applyTransition() {
-        if (!this.transition || !this.transition.active) return;
+    // Lets finally blocks in the generator run
+    finishGenerator() {
+        if (this.iterator && typeof this.iterator.return == "function") this.iterator.return();
+    }
+    
+    pause() {
+        if (this.state == "running") this.state = "paused";
+        return this;
+    }
+    
+    resume() {
+        if (this.state == "paused") this.state = "running";
+        return this;
+    }
+}
+
+// ========== COMPONENT CLASS ==========
+// Reusable behaviour with its own state, attached with obj.addComponent(Type, options).
+// Options are copied onto the component after it is constructed, so defaults
+// can be declared as class fields:
+//   class Health extends MALC.Component {
+//       max = 100;
+//       start() { this.hp = this.max; }
+//   }
+class Component {
+    // Name -> class, used to bring serialized components back
+    static types = {};
+    
+    static register(Type, name = Type.name) {
+        if (typeof Type != "function") {
+            console.error("Only component classes can be registered");
+            return null;
+        }
+        Component.types[name] = Type;
+        return Type;
+    }
+    
+    static getType(name) {
+        return Component.types[name] || null;
+    }
+    
+    constructor(gameObject, options = {}) {
+        this.gameObject = gameObject;
+        this.enabled = true;
+        this.started = false;
+    }
+    
+    // Lifecycle hooks for subclasses. update() gets dt in scaled simulation seconds
+    start() {}
+    update(dt) {}
+    render() {}
+    onDestroy() {}
+    
+    configure(options) {
+        Object.assign(this, options);
+        return this;
+    }
+    
+    get type() {
+        return Object.keys(Component.types).find(name => Component.types[name] === this.constructor) || this.constructor.name;
+    }
+    
+    // Plain data for saving; everything but the engine-managed fields and functions
+    toJSON() {
+        let data = {};
+        Object.keys(this).forEach(key => {
+            if (key == "gameObject" || key == "enabled" || key == "started") return;
+            if (typeof this[key] == "function") return;
+            data[key] = this[key];
+        });
+        
+        return {
+            type: this.type,
+            enabled: this.enabled,
+            data: serializeComponentValue(data)
+        };
+    }
+}
+
+// Component fields as JSON-safe data. Objects they point to are saved as {ref: id}
+// and looked up again on load; functions and circular references are left out
+function serializeComponentValue(value, seen = new Set()) {
+    if (typeof value == "function" || typeof value == "symbol" || typeof value == "bigint") return undefined;
+    if (value === null || typeof value != "object") return value;
+    if (value instanceof gameObject) return { ref: value.id };
+    if (seen.has(value)) return undefined;
+    
+    seen.add(value);
+    let result;
+    if (Array.isArray(value)) {
+        result = value.map(item => {
+            let saved = serializeComponentValue(item, seen);
+            return saved === undefined ? null : saved;
+        });
+    } else if (typeof value.toJSON == "function") {
+        result = serializeComponentValue(value.toJSON(), seen);
+    } else {
+        result = {};
+        Object.keys(value).forEach(key => {
+            let saved = serializeComponentValue(value[key], seen);
+            if (saved !== undefined) result[key] = saved;
+        });
+    }
+    seen.delete(value);
+    return result;
+}
+
+// Swap {ref: id} entries back for the objects they name
+function resolveComponentRefs(value, lookup) {
+    if (Array.isArray(value)) return value.map(item => resolveComponentRefs(item, lookup));
+    if (!isPlainObject(value)) return value;
+    
+    let keys = Object.keys(value);
+    if (keys.length == 1 && keys[0] == "ref" && typeof value.ref == "string") {
+        let target = lookup(value.ref);
+        if (!target) console.warn(`Component reference to missing object "${value.ref}"`);
+        return target || null;
+    }
+    
+    let result = {};
+    keys.forEach(key => result[key] = resolveComponentRefs(value[key], lookup));
+    return result;
+}
+
+// While a scene is being built, loaded components wait here so references to
+// objects created later in the same scene can be resolved at the end
+let pendingComponents = null;
+
+function loadWithComponentRefs(build, lookup) {
+    let outer = pendingComponents;
+    let components = pendingComponents = [];
+    try {
+        build();
+    } finally {
+        pendingComponents = outer;
+    }
+    
+    let find = id => lookup(id) || gameObject.getObjectById(id);
+    components.forEach(component => {
+        Object.keys(component).forEach(key => {
+            if (key == "gameObject" || typeof component[key] == "function") return;
+            component[key] = resolveComponentRefs(component[key], find);
+        });
+    });
+}
+
+// ========== SPATIAL HASH ==========
+const SPATIAL_CELL_SIZE = 64;
+const SPATIAL_MAX_CELLS = 1024; // bigger items skip the grid and are checked by every query
+
+function boundsOverlap(a, b) {
+    return a.left <= b.right && a.right >= b.left && a.top <= b.bottom && a.bottom >= b.top;
+}
+
+// Uniform grid of buckets for finding what is near an area without checking
+// everything. Items are stored with their {left, right, top, bottom} bounds
+class SpatialHash {
+    constructor(cellSize = SPATIAL_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.entries = new Map(); // item -> {bounds, range}
+        this.large = new Set();
+        this.built = false;
+    }
+    
+    get size() {
+        return this.entries.size;
+    }
+    
+    // [firstColumn, firstRow, lastColumn, lastRow] covered by bounds
+    cellRange(bounds) {
+        let size = this.cellSize;
+        return [Math.floor(bounds.left / size), Math.floor(bounds.top / size),
+                Math.floor(bounds.right / size), Math.floor(bounds.bottom / size)];
+    }
+    
+    cellCount([x0, y0, x1, y1]) {
+        let count = (x1 - x0 + 1) * (y1 - y0 + 1);
+        return isNaN(count) ? Infinity : count;
+    }
+    
+    forEachCell([x0, y0, x1, y1], fn) {
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                fn(x + "," + y);
+            }
+        }
+    }
+    
+    // Add an item or move it to new bounds
+    update(item, bounds) {
+        let range = this.cellRange(bounds);
+        let entry = this.entries.get(item);
+        if (entry && entry.range.every((v, i) => v === range[i])) {
+            entry.bounds = bounds;
+            return this;
+        }
+        
+        if (entry) this.remove(item);
+        if (this.cellCount(range) > SPATIAL_MAX_CELLS) {
+            this.large.add(item);
+        } else {
+            this.forEachCell(range, key => {
+                let cell = this.cells.get(key);
+                if (!cell) this.cells.set(key, cell = new Set());
+                cell.add(item);
+            });
+        }
+        this.entries.set(item, { bounds: bounds, range: range });
+        return this;
+    }
+    
+    remove(item) {
+        let entry = this.entries.get(item);
+        if (!entry) return this;
+        
+        if (this.large.has(item)) {
+            this.large.delete(item);
+        } else {
+            this.forEachCell(entry.range, key => {
+                let cell = this.cells.get(key);
+                if (!cell) return;
+                cell.delete(item);
+                if (cell.size == 0) this.cells.delete(key);
+            });
+        }
+        this.entries.delete(item);
+        return this;
+    }
+    
+    has(item) {
+        return this.entries.has(item);
+    }
+    
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.large.clear();
+        this.built = false;
+        return this;
+    }
+    
+    // Items whose stored bounds touch bounds
+    query(bounds) {
+        let found = new Set();
+        let check = item => {
+            if (!found.has(item) && boundsOverlap(this.entries.get(item).bounds, bounds)) found.add(item);
+        };
+        
+        let range = this.cellRange(bounds);
+        if (this.cellCount(range) > this.entries.size) {
+            // Cheaper to look at everything than to walk that many cells
+            this.entries.forEach((entry, item) => check(item));
+        } else {
+            this.forEachCell(range, key => {
+                let cell = this.cells.get(key);
+                if (cell) cell.forEach(check);
+            });
+            this.large.forEach(check);
+        }
+        return [...found];
+    }
+}
+
+// ========== SCENE CLASS (MODE-AWARE) ==========
+class Scene extends ModeAware {
+    static scenes = [];
+    static activeScene = "blank";
+    static started = false;
+    static sceneHistory = [];
+    static historyLimit = 10;
+
+    static update() {
+        this.started = true;
+        this.scenes = MALCScene;
+        
+        let activeSceneFound = false;
+        
+        this.scenes.forEach(S => {
+            if (S.id == this.activeScene) {
+                activeSceneFound = true;
+                
+                let previous = null;
+                
+                this.scenes.forEach(s => {
+                    if (s != S) {
+                        let wasActive = s._active;
+                        
+                        s._active = false;
+                        s.active = false;
+                        
+                        s.objects.forEach(o => {
+                            if (o && typeof o.active !== 'undefined') o.active = false;
+                        });
+                        
+                        if (wasActive) {
+                            previous = s;
+                            s._handleDeactivate();
+                        }
+                    }
+                });
+                
+                S.active = true;
+                
+                let activating = !S._active;
+                if (activating) {
+                    S.activated = engine.time.getTime();
+                    S.timeActive = 0;
+                }
+                
+                S._active = true;
+                
+                S.objects.forEach(o => {
+                    if (o && typeof o.active !== 'undefined') o.active = true;
+                });
+                
+                if (activating) S._handleActivate(previous);
+            }
+        });
+        
+        if (!activeSceneFound && this.activeScene != "blank") {
+            console.warn(`Scene "${this.activeScene}" not found, switching to blank`);
+            this.activeScene = "blank";
+        }
+    }
+    
+    // Run the active scene's scripts for one simulation step
+    static runScripts() {
+        let scene = this.getActiveScene();
+        if (scene) scene.runScripts();
+    }
+    
+    // Refresh the active scene's spatial hash before objects move
+    static updateBroadphase() {
+        let scene = this.getActiveScene();
+        if (scene) scene.updateSpatialHash();
+    }
+    
+    // Advance time-based scene state of the active scene by one simulation step
+    static step(dt) {
+        let scene = this.getActiveScene();
+        if (!scene) return;
+        
+        // timeActive is scene time in milliseconds, so it follows pausing and time scaling
+        let scaled = dt * scene.getTimeScale();
+        scene.timeActive += scaled * 1000;
+        scene.updateTimers(scaled * 1000);
+        scene.updateTransition(scaled);
+    }
+    
+    // Draw the active scene through the camera
+    static render() {
+        let scene = this.getActiveScene();
+        if (!scene) return;
+        
+        _p.push();
+        if (engine.camera && typeof engine.camera.render == 'function') {
+            engine.camera.render();
+        }
+        scene.render();
+        _p.pop();
+    }
+    
+    // Draw the active scene's UI planes through the camera
+    static renderUI() {
+        let scene = this.getActiveScene();
+        if (!scene) return;
+        
+        _p.push();
+        if (engine.camera && typeof engine.camera.render == 'function') {
+            engine.camera.render();
+        }
+        scene.renderUI();
+        _p.pop();
+    }
+    
+    static getSceneById(id) {
+        return MALCScene.find(scene => scene.id == id) || null;
+    }
+    
+    static getActiveScene() {
+        return this.getSceneById(this.activeScene);
+    }
+    
+    static switchToScene(id, addToHistory = true) {
+        let scene = this.getSceneById(id);
+        if (scene) {
+            if (addToHistory && this.activeScene) {
+                this.sceneHistory.push(this.activeScene);
+                if (this.sceneHistory.length > this.historyLimit) {
+                    this.sceneHistory.shift();
+                }
+            }
+            this.activeScene = id;
+        } else {
+            console.error(`Cannot switch to scene "${id}" - not found`);
+        }
+    }
+    
+    static goBack() {
+        if (this.sceneHistory.length > 0) {
+            let previousScene = this.sceneHistory.pop();
+            this.switchToScene(previousScene, false);
+            return true;
+        }
+        return false;
+    }
+    
+    static getAllScenes() {
+        return [...MALCScene];
+    }
+    
+    static getScenesWithObject(object) {
+        return MALCScene.filter(scene => scene.objects.includes(object));
+    }
+    
+    static getScenesByTag(tag) {
+        return MALCScene.filter(scene => scene.hasTag(tag));
+    }
+
+    constructor(id, backgroundColor, ...scripts) {
+        super();
+        MALCScene.forEach(s => {
+            if (s.id == id || typeof id != "string") {
+                throw new Error(`Scenes must have unique IDs and be strings. Duplicate/Invalid ID: "${id}"`);
+            }
+        });
+        
+        this.id = id;
+        this.backColor = backgroundColor;
+        this.scripts = scripts;
+        
+        this.objects = [];
+        this.uiPlanes = [];
+        
+        this.active = false;
+        this._active = false;
+        this.activated = 0;
+        this.timeActive = -1;
+        
+        this.tags = [];
+        this.paused = false;
+        this.timeScale = 1;
+        this.transition = null;
+        this.onActivateCallbacks = [];
+        this.onDeactivateCallbacks = [];
+        this.onUpdateCallbacks = [];
+        this.onRenderCallbacks = [];
+        this.timers = [];
+        this.coroutines = [];
+        this.layers = createLayers();
+        this.spatialHash = new SpatialHash(); // broadphase for queryRect and collisions
+        this.spatialOrder = new Map(); // object -> position in objects, so queries keep scene order
         
-        this.transition.progress += 1/60;
+        MALCScene.push(this);
+    }
+    
+    runScripts() {
+        if (this.getTimeScale() === 0) return;
+        
+        this.scripts.forEach(exe => {
+            if (typeof exe == "function") exe(this);
+        });
+        
+        this.onUpdateCallbacks.forEach(cb => {
+            if (typeof cb == "function") cb(this);
+        });
+        
+        this.updateCoroutines(engine.deltaTime * this.getTimeScale() * 1000);
+    }
+    
+    render() {
+        if (this.transition) {
+            this.applyTransition();
+        }
+        
+        _p.background(this.backColor);
+        
+        this.onRenderCallbacks.forEach(cb => {
+            if (typeof cb == "function") cb(this);
+        });
+        
+        // Children are drawn straight after their parent
+        this.getRenderOrder().forEach(o => {
+            o.render();
+            if (typeof o.renderChildren == "function") o.renderChildren();
+        });
+    }
+    
+    // Top-level objects in draw order: by layer, then zIndex, then y on
+    // y-sorted layers. Sorting is stable, so ties keep insertion order
+    getRenderOrder() {
+        let fallback = this.getLayerIndex(DEFAULT_LAYER);
+        let layerOf = o => {
+            let index = this.getLayerIndex(o.layer);
+            return index == -1 ? fallback : index;
+        };
+        
+        return this.objects
+            .filter(o => o && typeof o.render == "function" && !o.parent && this.layers[layerOf(o)].visible)
+            .sort((a, b) => {
+                let la = layerOf(a), lb = layerOf(b);
+                if (la != lb) return la - lb;
+                
+                let za = a.zIndex || 0, zb = b.zIndex || 0;
+                if (za != zb) return za - zb;
+                
+                if (this.layers[la].ySort && typeof a.getSortY == "function" && typeof b.getSortY == "function") {
+                    return a.getSortY() - b.getSortY();
+                }
+                return 0;
+            });
+    }
+    
+    // ========== LAYERS ==========
+    
+    getLayer(name) {
+        return this.layers.find(layer => layer.name == name) || null;
+    }
+    
+    getLayerIndex(name) {
+        return this.layers.findIndex(layer => layer.name == name);
+    }
+    
+    // Add a layer; index is its place in the draw order (default: in front of the rest)
+    addLayer(name, index = this.layers.length) {
+        if (this.getLayer(name)) {
+            console.warn(`Layer "${name}" already exists in scene "${this.id}"`);
+            return this;
+        }
+        this.layers.splice(index, 0, { name: name, visible: true, ySort: false });
+        return this;
+    }
+    
+    setLayerVisible(name, visible = true) {
+        let layer = this.getLayer(name);
+        if (!layer) {
+            console.warn(`Unknown layer "${name}". Layers: ${this.layers.map(l => l.name).join(", ")}`);
+            return this;
+        }
+        layer.visible = visible;
+        return this;
+    }
+    
+    isLayerVisible(name) {
+        let layer = this.getLayer(name) || this.getLayer(DEFAULT_LAYER);
+        return layer ? layer.visible : true;
+    }
+    
+    // Draw objects further down the screen in front, for top-down games
+    setYSort(name, enabled = true) {
+        let layer = this.getLayer(name);
+        if (!layer) {
+            console.warn(`Unknown layer "${name}". Layers: ${this.layers.map(l => l.name).join(", ")}`);
+            return this;
+        }
+        layer.ySort = enabled;
+        return this;
+    }
+    
+    renderUI() {
+        if (typeof UIPlanes !== 'undefined' && UIPlanes.length > 0) {
+            UIPlanes.forEach(ui => {
+                if (ui && typeof ui.belongsToScene == "function" && ui.belongsToScene(this.id)) {
+                    ui.render();
+                }
+            });
+        }
+        
+        this.uiPlanes.forEach(ui => {
+            if (ui && typeof ui.render == "function") {
+                ui.render();
+            }
+        });
+    }
+    
+    // Call fn once after ms milliseconds of scene time
+    after(ms, fn) {
+        let timer = new Timer(this, ms, fn, false);
+        this.timers.push(timer);
+        return timer;
+    }
+    
+    // Call fn every ms milliseconds of scene time until cancelled
+    every(ms, fn) {
+        let timer = new Timer(this, ms, fn, true);
+        this.timers.push(timer);
+        return timer;
+    }
+    
+    clearTimers() {
+        this.timers.forEach(timer => timer.cancel());
+        this.timers = [];
+        return this;
+    }
+    
+    // Advance timers by ms of scene time and drop finished ones
+    updateTimers(ms) {
+        // Timers added by a callback start counting from the next step
+        [...this.timers].forEach(timer => timer.update(ms));
+        this.timers = this.timers.filter(timer => timer.active);
+    }
+    
+    // Run a generator function as a coroutine; it first runs on the next scripts step
+    startCoroutine(routine, ...args) {
+        let coroutine = new Coroutine(this, routine, ...args);
+        coroutine.attached = true;
+        this.coroutines.push(coroutine);
+        return coroutine;
+    }
+    
+    stopCoroutines() {
+        this.coroutines.forEach(c => c.stop());
+        this.coroutines = [];
+        return this;
+    }
+    
+    updateCoroutines(ms) {
+        [...this.coroutines].forEach(c => c.update(ms));
+        this.coroutines = this.coroutines.filter(c => !c.done);
+    }
+    
+    // Advance the transition by dt simulation seconds
+    updateTransition(dt) {
+        if (!this.transition || !this.transition.active) return;
+        
+        this.transition.progress += dt;
         
         if (this.transition.progress >= this.transition.duration) {
             this.transition.active = false;
             this.transition = null;
-            return;
         }
+    }
+    
+    applyTransition() {
+        if (!this.transition || !this.transition.active) return;
         
         let t = this.transition.progress / this.transition.duration;
         
-        _p5.prototype.push();
+        _p.push();
         switch(this.transition.type) {
             case "fade":
-                _p5.prototype.fill(0, 255 * (1 - t));
-                _p5.prototype.rect(0, 0, _p5.prototype.width, _p5.prototype.height);
+                _p.fill(0, 255 * (1 - t));
+                _p.rect(0, 0, _p.width, _p.height);
                 break;
             case "slide":
-                _p5.prototype.translate(_p5.prototype.width * (1 - t), 0);
+                _p.translate(_p.width * (1 - t), 0);
                 break;
         }
-        _p5.prototype.pop();
+        _p.pop();
     }
     
     addObject(object) {
@@ -365,6 +1304,7 @@ class Scene extends ModeAware {
             if (typeof object.addToScene == "function") {
                 object.addToScene(this.id);
             }
+            this.updateSpatialEntry(object);
         }
         return this;
     }
@@ -388,23 +1328,82 @@ class Scene extends ModeAware {
                 obj.removeFromScene(this.id);
             }
         });
-        this.objects = [];
+        this.objects = [];
+        return this;
+    }
+    
+    getObjects(filter) {
+        if (typeof filter == "function" && (filter === Component || filter.prototype instanceof Component)) {
+            return this.objects.filter(obj => obj && typeof obj.hasComponent == "function" && obj.hasComponent(filter));
+        } else if (typeof filter == "function") {
+            return this.objects.filter(filter);
+        } else if (filter == "button") {
+            return this.objects.filter(obj => obj instanceof Button);
+        } else if (filter == "gameObject") {
+            return this.objects.filter(obj => obj instanceof gameObject);
+        }
+        return this.objects;
+    }
+    
+    getObjectById(id) {
+        return this.objects.find(obj => obj && obj.id == id);
+    }
+    
+    // Put every object's hitbox bounds in the spatial hash. The engine does this each
+    // physics step for the active scene, and moving objects update their own entry
+    updateSpatialHash() {
+        let hash = this.spatialHash;
+        let live = new Set();
+        this.spatialOrder = new Map();
+        this.objects.forEach(obj => {
+            if (!obj || obj.destroyed || typeof obj.getCollisionBounds != "function") return;
+            live.add(obj);
+            this.spatialOrder.set(obj, this.spatialOrder.size);
+            hash.update(obj, obj.getCollisionBounds());
+        });
+        [...hash.entries.keys()].forEach(obj => {
+            if (!live.has(obj)) hash.remove(obj);
+        });
+        hash.built = true;
         return this;
     }
     
-    getObjects(filter) {
-        if (typeof filter == "function") {
-            return this.objects.filter(filter);
-        } else if (filter == "button") {
-            return this.objects.filter(obj => obj instanceof Button);
-        } else if (filter == "gameObject") {
-            return this.objects.filter(obj => obj instanceof gameObject);
+    updateSpatialEntry(obj) {
+        if (this.spatialHash.built && obj && !obj.destroyed && typeof obj.getCollisionBounds == "function") {
+            if (!this.spatialOrder.has(obj)) this.spatialOrder.set(obj, this.spatialOrder.size);
+            this.spatialHash.update(obj, obj.getCollisionBounds());
         }
-        return this.objects;
+        return this;
     }
     
-    getObjectById(id) {
-        return this.objects.find(obj => obj && obj.id == id);
+    // Broadphase candidates: objects whose hitbox bounds touch {left, right, top, bottom},
+    // in scene order. Scenes that aren't running are re-hashed on every query
+    getNearby(bounds) {
+        if (!this.spatialHash.built || !this.active) this.updateSpatialHash();
+        return this.spatialHash.query(bounds)
+            .filter(obj => !obj.destroyed && obj.belongsToScene(this.id))
+            .sort((a, b) => this.spatialOrder.get(a) - this.spatialOrder.get(b));
+    }
+    
+    // Objects whose hitbox overlaps a width x height box centred on x, y
+    queryRect(x, y, w, h) {
+        let box = getShapesOf({ x: x, y: y, width: w, height: h })[0];
+        return this.getNearby(shapeBounds(box)).filter(obj => obj.getCollisionShapes().some(shape => shapesOverlap(shape, box)));
+    }
+    
+    queryPoint(x, y) {
+        return this.getNearby({ left: x, right: x, top: y, bottom: y }).filter(obj => obj.containsPoint(x, y));
+    }
+    
+    queryRadius(x, y, radius) {
+        let circle = { segment: [[x, y], [x, y]], radius: radius };
+        return this.getNearby(shapeBounds(circle)).filter(obj => obj.getCollisionShapes().some(shape => shapesOverlap(shape, circle)));
+    }
+    
+    // Grid cell size for the spatial hash; around the size of a typical object works well
+    setCellSize(size) {
+        this.spatialHash = new SpatialHash(Math.max(1, size));
+        return this;
     }
     
     addUIPlane(uiPlane) {
@@ -459,6 +1458,21 @@ class Scene extends ModeAware {
         return this;
     }
     
+    // Called by Scene.update when this scene becomes the active one
+    _handleActivate(previous) {
+        this.onActivateCallbacks.forEach(cb => cb(this));
+        this.emit("activate", this);
+        this.emit("switch", previous, this);
+        engine.emit("switch", previous, this);
+        engine.saves.handleSwitch(previous, this);
+    }
+    
+    // Called by Scene.update when another scene takes over
+    _handleDeactivate() {
+        this.onDeactivateCallbacks.forEach(cb => cb(this));
+        this.emit("deactivate", this);
+    }
+    
     onDeactivate(callback) {
         if (typeof callback == "function") {
             this.onDeactivateCallbacks.push(callback);
@@ -466,96 +1480,814 @@ class Scene extends ModeAware {
         return this;
     }
     
-    onUpdate(callback) {
-        if (typeof callback == "function") {
-            this.onUpdateCallbacks.push(callback);
-        }
-        return this;
+    onUpdate(callback) {
+        if (typeof callback == "function") {
+            this.onUpdateCallbacks.push(callback);
+        }
+        return this;
+    }
+    
+    // Draw callback run in the render stage, after the background and before objects
+    onRender(callback) {
+        if (typeof callback == "function") {
+            this.onRenderCallbacks.push(callback);
+        }
+        return this;
+    }
+    
+    // A paused scene keeps drawing but its scripts, objects and timers stop
+    pause() {
+        this.paused = true;
+        return this;
+    }
+    
+    resume() {
+        this.paused = false;
+        return this;
+    }
+    
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, Number(scale) || 0);
+        return this;
+    }
+    
+    // Effective time scale for this scene's simulation (0 while paused)
+    getTimeScale() {
+        return this.paused ? 0 : this.timeScale;
+    }
+    
+    setTransition(type, duration = 1.0) {
+        this.transition = {
+            type: type,
+            duration: duration,
+            progress: 0,
+            active: true
+        };
+        return this;
+    }
+    
+    addTag(tag) {
+        if (!this.tags.includes(tag)) {
+            this.tags.push(tag);
+        }
+        return this;
+    }
+    
+    removeTag(tag) {
+        this.tags = this.tags.filter(t => t != tag);
+        return this;
+    }
+    
+    hasTag(tag) {
+        return this.tags.includes(tag);
+    }
+    
+    reset() {
+        this.clearObjects();
+        this.clearUIPlanes();
+        this.clearScripts();
+        this.clearTimers();
+        this.stopCoroutines();
+        this.onActivateCallbacks = [];
+        this.onDeactivateCallbacks = [];
+        this.onUpdateCallbacks = [];
+        this.onRenderCallbacks = [];
+        this.tags = [];
+        this.paused = false;
+        this.timeScale = 1;
+        this.transition = null;
+        this.timeActive = 0;
+        this.layers = createLayers();
+        this.spatialHash = new SpatialHash(this.spatialHash.cellSize);
+        return this;
+    }
+    
+    destroy() {
+        let index = MALCScene.indexOf(this);
+        if (index > -1) {
+            MALCScene.splice(index, 1);
+        }
+        
+        this.clearObjects();
+        this.clearUIPlanes();
+        this.clearTimers();
+        this.stopCoroutines();
+        
+        if (Scene.activeScene == this.id) {
+            Scene.activeScene = "blank";
+        }
+    }
+    
+    // Copy of the scene with its own copies of every object and UI plane
+    clone(newId) {
+        let clone = new Scene(newId || this.id + "_copy", this.backColor, ...this.scripts);
+        clone.tags = [...this.tags];
+        clone.paused = this.paused;
+        clone.timeScale = this.timeScale;
+        clone.layers = this.layers.map(layer => ({ ...layer }));
+        
+        // Component references to objects in this scene point at their copies
+        let copies = new Map();
+        let copiesById = new Map();
+        loadWithComponentRefs(() => {
+            this.objects.forEach(obj => {
+                let copy = deserializeObject(serializeObject(obj));
+                copy.scripts = [...obj.scripts];
+                copy.copySprite(obj);
+                copies.set(obj, copy);
+                copiesById.set(obj.id, copy);
+            });
+        }, id => copiesById.get(id));
+        copies.forEach((copy, obj) => {
+            if (obj.parent && copies.has(obj.parent)) copies.get(obj.parent).addChild(copy);
+        });
+        copies.forEach(copy => clone.addObject(copy));
+        
+        this.getUIPlanes().forEach(ui => {
+            let copy = new UIPlane(ui.executable, [], clone.id);
+            copy.formatting = copyData(ui.formatting);
+        });
+        return clone;
+    }
+    
+    // Every UI plane drawn with this scene
+    getUIPlanes() {
+        return [...new Set([...this.uiPlanes, ...UIPlanes.filter(ui => ui.belongsToScene(this.id))])];
+    }
+    
+    // Versioned, JSON-safe snapshot of the scene. Scripts are saved by their
+    // MALC.registerScript name; other functions can't be saved
+    toJSON() {
+        return {
+            schema: SCENE_SCHEMA,
+            version: SCENE_SCHEMA_VERSION,
+            id: this.id,
+            backColor: serializeColor(this.backColor),
+            tags: [...this.tags],
+            paused: this.paused,
+            timeScale: this.timeScale,
+            layers: this.layers.map(layer => ({ ...layer })),
+            scripts: this.scripts.map(getScriptName).filter(name => name),
+            objects: this.objects.filter(obj => obj instanceof gameObject && !obj.destroyed).map(serializeObject),
+            uiPlanes: this.getUIPlanes().filter(ui => !ui.destroyed).map(serializeUIPlane)
+        };
+    }
+    
+    // Build a scene from toJSON() data or its JSON string.
+    // options: {id} to load under another id, {replace: true} to load into an existing scene
+    static fromJSON(data, options = {}) {
+        data = readSceneData(data);
+        if (!data) return null;
+        
+        let id = options.id || data.id;
+        let existing = Scene.getSceneById(id);
+        if (existing && !options.replace) {
+            console.error(`Scene "${id}" already exists. Load it with {replace: true} or a new id`);
+            return null;
+        }
+        return (existing || new Scene(id, data.backColor)).load(data);
+    }
+    
+    // Replace the scene's contents with toJSON() data. The scene keeps its callbacks,
+    // timers and scripts; objects and UI planes only in this scene are destroyed and rebuilt
+    load(data) {
+        data = readSceneData(data);
+        if (!data) return null;
+        
+        this.objects.filter(obj => obj.scenes.length <= 1).forEach(obj => obj.destroy());
+        this.clearObjects();
+        this.getUIPlanes().forEach(ui => {
+            this.removeUIPlane(ui);
+            if (ui.scenes.length < 1) ui.destroy();
+        });
+        
+        this.backColor = restoreColors(data.backColor);
+        this.tags = [...(data.tags || [])];
+        this.paused = !!data.paused;
+        this.timeScale = data.timeScale !== undefined ? data.timeScale : 1;
+        if (Array.isArray(data.layers)) this.layers = data.layers.map(layer => ({ ...layer }));
+        (data.scripts || []).forEach(name => this.addScript(getScript(name, `scene "${this.id}"`)));
+        
+        // Saved ids are kept unless another live object already has them
+        let loaded = new Map();
+        loadWithComponentRefs(() => {
+            (data.objects || []).forEach(entry => {
+                let obj = deserializeObject(entry);
+                if (entry.id && !gameObject.getObjectById(entry.id)) obj.setId(entry.id);
+                loaded.set(entry.id, obj);
+            });
+        }, id => loaded.get(id));
+        (data.objects || []).forEach(entry => {
+            let parent = entry.parent ? loaded.get(entry.parent) : null;
+            if (parent) parent.addChild(loaded.get(entry.id));
+        });
+        loaded.forEach(obj => this.addObject(obj));
+        
+        (data.uiPlanes || []).forEach(entry => {
+            let executable = entry.executable ? getScript(entry.executable, `UI plane "${entry.id}"`) : null;
+            let ui = new UIPlane(executable, [], this.id);
+            ui.formatting = mergeDeep(ui.formatting, restoreColors(entry.formatting));
+        });
+        return this;
+    }
+    
+    getInfo() {
+        return {
+            id: this.id,
+            active: this.active,
+            timeActive: this.timeActive,
+            objectCount: this.objects.length,
+            uiPlaneCount: this.uiPlanes.length,
+            scriptCount: this.scripts.length,
+            timerCount: this.timers.length,
+            tags: this.tags,
+            paused: this.paused,
+            timeScale: this.timeScale
+        };
+    }
+}
+
+// ========== SPRITE SHEET CLASS ==========
+// A grid of equally sized frames in one image. Frames are numbered left to
+// right, top to bottom. Columns are worked out from the image once it loads
+class SpriteSheet {
+    constructor(image, frameWidth, frameHeight, options = {}) {
+        this.image = typeof image == "string" ? _p.loadImage(image) : image;
+        this.frameWidth = frameWidth;
+        this.frameHeight = frameHeight;
+        this.margin = options.margin || 0; // around the whole grid
+        this.spacing = options.spacing || 0; // between frames
+        this.columns = options.columns || null;
+        this.frames = options.frames || null;
+    }
+    
+    getColumns() {
+        if (this.columns) return this.columns;
+        let width = this.image ? this.image.width : 0;
+        if (!width) return 1;
+        return Math.max(1, Math.floor((width - this.margin * 2 + this.spacing) / (this.frameWidth + this.spacing)));
+    }
+    
+    getRows() {
+        let height = this.image ? this.image.height : 0;
+        if (!height) return 1;
+        return Math.max(1, Math.floor((height - this.margin * 2 + this.spacing) / (this.frameHeight + this.spacing)));
+    }
+    
+    get frameCount() {
+        return this.frames || this.getColumns() * this.getRows();
+    }
+    
+    // Source rectangle {x, y, w, h} of a frame
+    getFrame(index) {
+        let columns = this.getColumns();
+        let column = index % columns;
+        let row = Math.floor(index / columns);
+        
+        return {
+            x: this.margin + column * (this.frameWidth + this.spacing),
+            y: this.margin + row * (this.frameHeight + this.spacing),
+            w: this.frameWidth,
+            h: this.frameHeight
+        };
+    }
+}
+
+// ========== ANIMATOR CLASS ==========
+// Frame animation for a gameObject's sprite. A clip is a list of sprite sheet
+// frames played at its own fps; transitions switch clips when a condition on
+// the object holds, e.g. obj => !obj.gravity.grounded for a jump clip
+class Animator {
+    constructor(gameObject) {
+        this.gameObject = gameObject;
+        this.clips = {};
+        this.transitions = [];
+        this.current = null; // name of the clip being shown
+        this.frame = 0; // position in the current clip's frame list
+        this.time = 0; // seconds spent on the current frame
+        this.playing = false;
+        this.speed = 1;
+        this.fade = null; // previous frame fading out during a crossfade
+    }
+    
+    // options: {frames: [0, 1, 2] or {from, to}, fps, loop, sheet, events: {frame: fn}, onComplete}
+    addClip(name, options = {}) {
+        let frames = options.frames !== undefined ? options.frames : [0];
+        if (!Array.isArray(frames)) {
+            if (!frames || !Number.isInteger(frames.from) || !Number.isInteger(frames.to)) {
+                console.error(`Clip "${name}" needs a frame list or whole-number {from, to}`);
+                return this;
+            }
+            let range = [];
+            if (frames.to >= frames.from) {
+                for (let f = frames.from; f <= frames.to; f++) range.push(f);
+            } else {
+                for (let f = frames.from; f >= frames.to; f--) range.push(f);
+            }
+            frames = range;
+        }
+        
+        this.clips[name] = {
+            name: name,
+            frames: frames,
+            fps: options.fps || 12,
+            loop: options.loop !== false,
+            sheet: options.sheet || null,
+            events: {},
+            onComplete: options.onComplete || null
+        };
+        
+        if (options.events) {
+            Object.entries(options.events).forEach(([frame, fn]) => this.onFrame(name, Number(frame), fn));
+        }
+        return this;
+    }
+    
+    // Call fn(gameObject, clipName) whenever the clip reaches a frame (position in its frame list)
+    onFrame(clipName, frame, fn) {
+        let clip = this.clips[clipName];
+        if (!clip) {
+            console.warn(`Unknown animation clip "${clipName}"`);
+            return this;
+        }
+        if (!clip.events[frame]) clip.events[frame] = [];
+        clip.events[frame].push(fn);
+        return this;
+    }
+    
+    // Switch from one clip ("*" for any) to another when condition(gameObject) is true.
+    // Transitions are checked in the order they were added, every simulation step
+    addTransition(from, to, condition, options = {}) {
+        if (typeof condition != "function") {
+            console.error("addTransition expects a condition function");
+            return this;
+        }
+        this.transitions.push({ from: from, to: to, condition: condition, crossfade: options.crossfade || 0 });
+        return this;
+    }
+    
+    // options: {restart, crossfade (ms)}
+    play(name, options = {}) {
+        if (!this.clips[name]) {
+            console.warn(`Unknown animation clip "${name}"`);
+            return this;
+        }
+        if (this.current == name && this.playing && !options.restart) return this;
+        
+        let sprite = this.gameObject.sprite;
+        if (options.crossfade > 0 && this.current && sprite) {
+            this.fade = {
+                image: sprite.image,
+                source: this.gameObject.getSpriteSource(),
+                duration: options.crossfade,
+                elapsed: 0
+            };
+        } else {
+            this.fade = null;
+        }
+        
+        this.current = name;
+        this.frame = 0;
+        this.time = 0;
+        this.playing = true;
+        this.applyFrame();
+        this.fireFrameEvents();
+        return this;
+    }
+    
+    crossfade(name, duration = 200) {
+        return this.play(name, { crossfade: duration });
+    }
+    
+    // Stop on the clip's first frame
+    stop() {
+        this.playing = false;
+        this.frame = 0;
+        this.time = 0;
+        this.fade = null;
+        if (this.current) this.applyFrame();
+        return this;
+    }
+    
+    pause() {
+        this.playing = false;
+        return this;
+    }
+    
+    resume() {
+        if (this.current) this.playing = true;
+        return this;
+    }
+    
+    isPlaying(name) {
+        return this.playing && (name === undefined || this.current == name);
+    }
+    
+    // Fraction of the crossfade still showing the previous frame (0 when not fading)
+    getFadeAmount() {
+        return this.fade ? 1 - this.fade.elapsed / this.fade.duration : 0;
+    }
+    
+    // Advance by dt seconds of the object's time
+    update(dt) {
+        if (this.transitions.length > 0) this.updateTransitions();
+        
+        if (this.fade) {
+            this.fade.elapsed += dt * 1000;
+            if (this.fade.elapsed >= this.fade.duration) this.fade = null;
+        }
+        
+        if (!this.playing || !this.current) return;
+        
+        let clip = this.clips[this.current];
+        let frameTime = 1 / clip.fps;
+        this.time += dt * this.speed;
+        
+        // Stop if a frame event switched clips
+        while (this.playing && this.current == clip.name && this.time >= frameTime) {
+            this.time -= frameTime;
+            
+            if (this.frame + 1 < clip.frames.length) {
+                this.frame++;
+            } else if (clip.loop) {
+                this.frame = 0;
+            } else {
+                this.playing = false;
+                this.time = 0;
+                if (typeof clip.onComplete == "function") clip.onComplete(this.gameObject, clip.name);
+                this.gameObject.emit("animationEnd", clip.name);
+                break;
+            }
+            
+            this.applyFrame();
+            this.fireFrameEvents();
+        }
+    }
+    
+    updateTransitions() {
+        for (let t of this.transitions) {
+            if (t.from != "*" && t.from != this.current) continue;
+            if (t.to == this.current) continue;
+            
+            if (t.condition(this.gameObject, this)) {
+                this.play(t.to, { crossfade: t.crossfade });
+                return;
+            }
+        }
+    }
+    
+    // Point the object's sprite at the current frame
+    applyFrame() {
+        let clip = this.clips[this.current];
+        let obj = this.gameObject;
+        
+        if (!obj.sprite) {
+            if (!clip.sheet) return;
+            obj.setSprite(clip.sheet);
+        } else if (clip.sheet && obj.sprite.sheet !== clip.sheet) {
+            obj.sprite.sheet = clip.sheet;
+            obj.sprite.image = clip.sheet.image;
+        }
+        
+        obj.sprite.frame = clip.frames[this.frame];
+    }
+    
+    fireFrameEvents() {
+        let clip = this.clips[this.current];
+        let callbacks = clip.events[this.frame];
+        if (callbacks) callbacks.forEach(fn => fn(this.gameObject, clip.name));
+    }
+    
+    // Same clips and transitions on another object; clips are shared, not copied
+    clone(gameObject) {
+        let animator = new Animator(gameObject);
+        animator.clips = { ...this.clips };
+        animator.transitions = [...this.transitions];
+        animator.speed = this.speed;
+        if (this.current) {
+            animator.current = this.current;
+            animator.frame = this.frame;
+            animator.playing = this.playing;
+        }
+        return animator;
+    }
+}
+
+// ========== SHAPES ==========
+// Shapes a gameObject can be drawn and hit-tested as. Sizes come from the
+// object's width and height: circles use the smaller of the two as diameter,
+// lines and capsules run along the local x axis with height as thickness
+const SHAPE_TYPES = ["rect", "circle", "ellipse", "polygon", "line", "capsule"];
+const ELLIPSE_SEGMENTS = 24; // ellipses are hit-tested as polygons
+
+// Accepts "circle", {type: "polygon", sides: 6} or {type: "polygon", points: [[x, y], ...]}
+function normalizeShape(shape = "rect") {
+    if (typeof shape == "string") shape = { type: shape };
+    if (!shape || !SHAPE_TYPES.includes(shape.type)) {
+        console.warn(`Unknown shape "${shape ? shape.type : shape}". Shapes: ${SHAPE_TYPES.join(", ")}`);
+        return { type: "rect" };
+    }
+    
+    let normalized = { type: shape.type };
+    if (shape.type == "polygon") {
+        if (Array.isArray(shape.points) && shape.points.length >= 3) {
+            normalized.points = shape.points.map(p => [p[0], p[1]]);
+        } else {
+            normalized.sides = Math.max(3, Math.floor(shape.sides || 6));
+        }
+    }
+    return normalized;
+}
+
+// Outline points of a width x height shape centred on 0, 0. Custom polygon points are
+// returned as they are; circles, lines and capsules have no outline (null)
+function shapeOutline(shape, width, height) {
+    let hw = width / 2;
+    let hh = height / 2;
+    let type = shape.type;
+    
+    if (type == "polygon" && shape.points) {
+        return shape.points;
+    } else if (type == "polygon") {
+        let r = Math.min(hw, hh);
+        let sides = shape.sides;
+        // First vertex points up
+        return Array.from({ length: sides }, (_, i) => {
+            let a = -Math.PI / 2 + i * 2 * Math.PI / sides;
+            return [r * Math.cos(a), r * Math.sin(a)];
+        });
+    } else if (type == "ellipse") {
+        return Array.from({ length: ELLIPSE_SEGMENTS }, (_, i) => {
+            let a = i * 2 * Math.PI / ELLIPSE_SEGMENTS;
+            return [hw * Math.cos(a), hh * Math.sin(a)];
+        });
+    } else if (type == "rect") {
+        return [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]];
+    }
+    return null;
+}
+
+function pointSegmentDistance(p, a, b) {
+    let dx = b[0] - a[0], dy = b[1] - a[1];
+    let lengthSq = dx * dx + dy * dy;
+    let t = lengthSq === 0 ? 0 : ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+function segmentsIntersect(a, b, c, d) {
+    let cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+    let d1 = cross(c, d, a), d2 = cross(c, d, b), d3 = cross(a, b, c), d4 = cross(a, b, d);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+    
+    // Touching or collinear
+    return (d1 === 0 && pointSegmentDistance(a, c, d) === 0) || (d2 === 0 && pointSegmentDistance(b, c, d) === 0) ||
+           (d3 === 0 && pointSegmentDistance(c, a, b) === 0) || (d4 === 0 && pointSegmentDistance(d, a, b) === 0);
+}
+
+function segmentDistance(a, b, c, d) {
+    if (segmentsIntersect(a, b, c, d)) return 0;
+    return Math.min(pointSegmentDistance(a, c, d), pointSegmentDistance(b, c, d),
+                    pointSegmentDistance(c, a, b), pointSegmentDistance(d, a, b));
+}
+
+// Even-odd rule, so concave polygons work too
+function pointInPolygon(p, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        let [xi, yi] = points[i], [xj, yj] = points[j];
+        if ((yi > p[1]) != (yj > p[1]) && p[0] < (xj - xi) * (p[1] - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+function polygonEdges(points) {
+    return points.map((p, i) => [p, points[(i + 1) % points.length]]);
+}
+
+// Overlap test for world-space collision shapes from gameObject.getCollisionShapes():
+// {points} for polygons, {segment, radius} for circles, lines and capsules
+function shapesOverlap(a, b) {
+    if (a.segment && b.segment) {
+        return segmentDistance(a.segment[0], a.segment[1], b.segment[0], b.segment[1]) <= a.radius + b.radius;
+    }
+    
+    if (a.segment || b.segment) {
+        let round = a.segment ? a : b;
+        let poly = a.segment ? b : a;
+        if (pointInPolygon(round.segment[0], poly.points)) return true;
+        return polygonEdges(poly.points).some(([c, d]) => segmentDistance(round.segment[0], round.segment[1], c, d) <= round.radius);
     }
     
-    pause() {
-        this.paused = true;
-        return this;
+    if (a.points.some(p => pointInPolygon(p, b.points)) || b.points.some(p => pointInPolygon(p, a.points))) return true;
+    return polygonEdges(a.points).some(([p, q]) => polygonEdges(b.points).some(([r, t]) => segmentsIntersect(p, q, r, t)));
+}
+
+// ========== COLLISION ==========
+// Contacts between collision shapes. Every shape is treated as a convex core
+// (polygon points, or a segment's two ends) grown by a radius, and separated
+// along the axis of least overlap. Concave polygons are handled as convex here;
+// build those from convex hitbox.parts instead
+
+function closestPointOnSegment(p, a, b) {
+    let dx = b[0] - a[0], dy = b[1] - a[1];
+    let lengthSq = dx * dx + dy * dy;
+    let t = lengthSq === 0 ? 0 : ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+    return [a[0] + t * dx, a[1] + t * dy];
+}
+
+function normalizeVector(x, y) {
+    let length = Math.hypot(x, y);
+    return length > 1e-9 ? [x / length, y / length] : null;
+}
+
+function shapeCore(shape) {
+    if (shape.segment) {
+        let [a, b] = shape.segment;
+        return { points: a[0] == b[0] && a[1] == b[1] ? [a] : [a, b], radius: shape.radius };
     }
+    return { points: shape.points, radius: 0 };
+}
+
+function closestPointOnCore(p, core) {
+    if (core.points.length == 1) return core.points[0];
+    let best = null, bestDistance = Infinity;
+    polygonEdges(core.points).forEach(([a, b]) => {
+        let q = closestPointOnSegment(p, a, b);
+        let distance = Math.hypot(p[0] - q[0], p[1] - q[1]);
+        if (distance < bestDistance) {
+            best = q;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+function projectCore(core, axis) {
+    let min = Infinity, max = -Infinity;
+    core.points.forEach(p => {
+        let d = p[0] * axis[0] + p[1] * axis[1];
+        min = Math.min(min, d);
+        max = Math.max(max, d);
+    });
+    return [min - core.radius, max + core.radius];
+}
+
+// Overlap of two shapes from gameObject.getCollisionShapes(): null when apart, otherwise
+// {normal, depth} with normal pointing from a towards b. Moving a by -normal * depth separates them
+function shapeContact(a, b) {
+    let ca = shapeCore(a), cb = shapeCore(b);
+    let axes = [];
+    [ca, cb].forEach(core => {
+        if (core.points.length < 2) return;
+        polygonEdges(core.points).forEach(([p, q]) => axes.push(normalizeVector(p[1] - q[1], q[0] - p[0])));
+    });
     
-    resume() {
-        this.paused = false;
-        return this;
+    // Round shapes can also separate along the line to the other shape's nearest point
+    if (ca.radius > 0) ca.points.forEach(p => {
+        let q = closestPointOnCore(p, cb);
+        axes.push(normalizeVector(q[0] - p[0], q[1] - p[1]));
+    });
+    if (cb.radius > 0) cb.points.forEach(p => {
+        let q = closestPointOnCore(p, ca);
+        axes.push(normalizeVector(q[0] - p[0], q[1] - p[1]));
+    });
+    axes = axes.filter(axis => axis);
+    if (axes.length == 0) axes = [[1, 0], [0, 1]];
+    
+    let best = null;
+    for (let axis of axes) {
+        let [minA, maxA] = projectCore(ca, axis);
+        let [minB, maxB] = projectCore(cb, axis);
+        // How far b would have to move along the axis, either way, to clear a
+        let forward = maxA - minB;
+        let backward = maxB - minA;
+        if (forward < 0 || backward < 0) return null;
+        
+        let depth = Math.min(forward, backward);
+        if (!best || depth < best.depth) {
+            best = { normal: forward <= backward ? axis : [-axis[0], -axis[1]], depth: depth };
+        }
     }
-    
-    setTransition(type, duration = 1.0) {
-        this.transition = {
-            type: type,
-            duration: duration,
-            progress: 0,
-            active: true
-        };
-        return this;
+    return best;
+}
+
+// World-space bounding box {left, right, top, bottom} of a collision shape
+function shapeBounds(shape) {
+    let core = shapeCore(shape);
+    let xs = core.points.map(p => p[0]);
+    let ys = core.points.map(p => p[1]);
+    return {
+        left: Math.min(...xs) - core.radius,
+        right: Math.max(...xs) + core.radius,
+        top: Math.min(...ys) - core.radius,
+        bottom: Math.max(...ys) + core.radius
+    };
+}
+
+// Collision shapes of a gameObject, or a centred box for anything else with x, y, width and height
+function getShapesOf(target) {
+    if (typeof target.getCollisionShapes == "function") return target.getCollisionShapes();
+    let hw = (target.width || 0) / 2, hh = (target.height || 0) / 2;
+    return [{ points: [[target.x - hw, target.y - hh], [target.x + hw, target.y - hh], [target.x + hw, target.y + hh], [target.x - hw, target.y + hh]] }];
+}
+
+function rotatePoint([x, y], angle) {
+    if (!angle) return [x, y];
+    let cos = Math.cos(angle), sin = Math.sin(angle);
+    return [x * cos - y * sin, x * sin + y * cos];
+}
+
+// World-space collision shape for a width x height shape. outline is its
+// local polygon (if it has one) and toWorld places local points in the world
+function buildCollisionShape(shape, width, height, outline, toWorld, scale) {
+    if (shape.type == "circle") {
+        let centre = toWorld([0, 0]);
+        return { segment: [centre, centre], radius: Math.min(width, height) / 2 * scale };
+    }
+    if (shape.type == "line" || shape.type == "capsule") {
+        let radius = height / 2;
+        let half = shape.type == "capsule" ? Math.max(0, width / 2 - radius) : width / 2;
+        return { segment: [toWorld([-half, 0]), toWorld([half, 0])], radius: radius * scale };
+    }
+    return { points: outline.map(toWorld) };
+}
+
+// Debug outline of a world-space collision shape
+function drawCollisionShape(shape) {
+    if (shape.points) {
+        _p.beginShape();
+        shape.points.forEach(([x, y]) => _p.vertex(x, y));
+        _p.endShape(_p.CLOSE);
+        return;
+    }
+    
+    let [a, b] = shape.segment;
+    let r = shape.radius;
+    _p.circle(a[0], a[1], r * 2);
+    if (a[0] == b[0] && a[1] == b[1]) return;
+    _p.circle(b[0], b[1], r * 2);
+    let n = normalizeVector(a[1] - b[1], b[0] - a[0]);
+    _p.line(a[0] + n[0] * r, a[1] + n[1] * r, b[0] + n[0] * r, b[1] + n[1] * r);
+    _p.line(a[0] - n[0] * r, a[1] - n[1] * r, b[0] - n[0] * r, b[1] - n[1] * r);
+}
+
+// ========== COLLISION LAYERS ==========
+const DEFAULT_COLLISION_LAYER = "default";
+
+// Named collision layers for one world, as MALC.collisionLayers. Every pair of
+// layers collides until it is turned off with set(a, b, false)
+class CollisionLayers {
+    constructor() {
+        this.layers = [DEFAULT_COLLISION_LAYER];
+        this.ignored = {}; // "a|b" keys of pairs that pass through each other
     }
     
-    addTag(tag) {
-        if (!this.tags.includes(tag)) {
-            this.tags.push(tag);
-        }
+    add(...names) {
+        names.forEach(name => {
+            if (!this.layers.includes(name)) this.layers.push(name);
+        });
         return this;
     }
     
-    removeTag(tag) {
-        this.tags = this.tags.filter(t => t != tag);
-        return this;
+    has(name) {
+        return this.layers.includes(name);
     }
     
-    hasTag(tag) {
-        return this.tags.includes(tag);
+    pairKey(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
     }
     
-    reset() {
-        this.clearObjects();
-        this.clearUIPlanes();
-        this.clearScripts();
-        this.onActivateCallbacks = [];
-        this.onDeactivateCallbacks = [];
-        this.onUpdateCallbacks = [];
-        this.tags = [];
-        this.paused = false;
-        this.transition = null;
-        this.timeActive = 0;
+    set(a, b, collides = true) {
+        this.add(a, b);
+        if (collides) delete this.ignored[this.pairKey(a, b)];
+        else this.ignored[this.pairKey(a, b)] = true;
         return this;
     }
     
-    destroy() {
-        let index = MALCScene.indexOf(this);
-        if (index > -1) {
-            MALCScene.splice(index, 1);
-        }
-        
-        this.clearObjects();
-        this.clearUIPlanes();
-        
-        if (Scene.activeScene == this.id) {
-            Scene.activeScene = "blank";
-        }
+    collides(a, b) {
+        return !this.ignored[this.pairKey(a, b)];
     }
     
-    clone(newId) {
-        let clone = new Scene(newId || this.id + "_copy", this.backColor, ...this.scripts);
-        clone.objects = [...this.objects];
-        clone.uiPlanes = [...this.uiPlanes];
-        clone.tags = [...this.tags];
-        return clone;
+    // {layer: [layers it collides with]}. Layers left out of a list stop colliding with it,
+    // unless the other layer lists this one: a pair collides if either side lists it
+    setMatrix(matrix) {
+        let lists = (layer, other) => (matrix[layer] || []).includes(other);
+        this.add(...Object.keys(matrix));
+        Object.values(matrix).forEach(list => this.add(...list));
+        Object.keys(matrix).forEach(layer => {
+            this.layers.forEach(other => this.set(layer, other, lists(layer, other) || lists(other, layer)));
+        });
+        return this;
     }
     
-    getInfo() {
-        return {
-            id: this.id,
-            active: this.active,
-            timeActive: this.timeActive,
-            objectCount: this.objects.length,
-            uiPlaneCount: this.uiPlanes.length,
-            scriptCount: this.scripts.length,
-            tags: this.tags,
-            paused: this.paused
-        };
+    getMatrix() {
+        let matrix = {};
+        this.layers.forEach(layer => {
+            matrix[layer] = this.layers.filter(other => this.collides(layer, other));
+        });
+        return matrix;
     }
 }
 
@@ -568,7 +2300,10 @@ class gameObject extends ModeAware {
     
     static render() {
         MALCgameObjects.forEach(o => {
-            if (o.active) o.render();
+            if (o.active && !o.parent) {
+                o.render();
+                o.renderChildren();
+            }
         });
     }
     
@@ -581,6 +2316,33 @@ class gameObject extends ModeAware {
             if (o.active) o.update();
         });
     }
+    
+    static runScripts() {
+        MALCgameObjects.forEach(o => {
+            if (o.active) o.runScripts();
+        });
+    }
+    
+    // Remember where each object starts the tick, so scripts and physics both interpolate
+    static savePrevious() {
+        MALCgameObjects.forEach(o => {
+            if (o.active) o.previous = { x: o.x, y: o.y, rotation: o.rotation };
+        });
+    }
+    
+    // Overlap events for trigger colliders, after everything has moved
+    static updateTriggers() {
+        MALCgameObjects.forEach(o => {
+            if (o.trigger || o.triggerContacts.size > 0) o.updateTrigger();
+        });
+    }
+    
+    // Emit enterScreen/exitScreen for objects that have listeners for them
+    static updateScreenEvents() {
+        MALCgameObjects.forEach(o => {
+            if (o.active) o.updateScreenEvent();
+        });
+    }
 
     static initialize() {
         console.log("MALC gameObjects initialized");
@@ -600,6 +2362,25 @@ class gameObject extends ModeAware {
         return MALCgameObjects[index] || null;
     }
     
+    static getObjectById(id) {
+        let obj = MALCObjectsById.get(id);
+        return obj && !obj.destroyed ? obj : null;
+    }
+    
+    // Drop objects destroyed during the frame, once nothing is iterating over them
+    static flushDestroyed() {
+        if (MALCDestroyQueue.length === 0) return;
+        
+        let removed = new Set(MALCDestroyQueue);
+        MALCDestroyQueue.length = 0;
+        
+        removeAllFrom(MALCgameObjects, removed);
+        removeAllFrom(MALCbuttons, removed);
+        removed.forEach(obj => {
+            if (MALCObjectsById.get(obj.id) === obj) MALCObjectsById.delete(obj.id);
+        });
+    }
+    
     static getActiveObjects() {
         return MALCgameObjects.filter(o => o.active);
     }
@@ -631,6 +2412,9 @@ class gameObject extends ModeAware {
         this.rotationY = 0; // 3D rotation
         this.rotationZ = 0; // 3D rotation
         this.rotationMode = "degrees";
+        this.scale = 1; // multiplies width and height
+        this.layer = DEFAULT_LAYER; // render layer, see Scene.addLayer
+        this.zIndex = 0; // draw order within the layer, higher is in front
         this.velocity = [0, 0];
         this.velocity3D = [0, 0, 0]; // 3D velocity
         this.velocityMatrix = [0, 0];
@@ -644,10 +2428,14 @@ class gameObject extends ModeAware {
             velocity: 0,
             velocity3D: [0, 0, 0], // 3D gravity velocity
             grounded: false,
+            touchingWall: false,
+            wallSide: 0, // -1 wall on the left, 1 on the right
+            touchingCeiling: false,
             groundTolerance: 1, // pixels
             mass: 1,
             bounce: 0, // 0 = no bounce, 1 = full bounce
-            friction: 0.1 // ground friction
+            friction: 0.1, // ground friction
+            dropTime: 0 // milliseconds left falling through one-way platforms, see dropThrough
         };
         
         this.formatting = {
@@ -655,12 +2443,31 @@ class gameObject extends ModeAware {
             color: "white",
         };
         
-        this.collition = true;
+        // Image drawn instead of the rectangle, see setSprite
+        this.sprite = null;
+        this.animator = new Animator(this);
+        
+        // Collision filtering: the layer is matched against MALC.collisionLayers and the
+        // other object's mask; a null mask accepts every layer. Triggers report overlaps
+        // (triggerEnter, triggerStay, triggerExit) without blocking anything
+        this.collision = true;
+        this.collisionLayer = DEFAULT_COLLISION_LAYER;
+        this.collisionMask = null;
+        this.trigger = false;
+        this.triggerContacts = new Set();
+        
+        // One-way platforms only stop objects coming down onto them from above
+        this.oneWay = false;
+        
+        // A trailing options object picks the shape: new gameObject(x, y, 40, 40, "game", {shape: "circle"})
+        let options = scenes.length > 0 && scenes[scenes.length - 1] && typeof scenes[scenes.length - 1] == "object" ? scenes.pop() : {};
+        this.shape = normalizeShape(options.shape);
         
         this.scripts = [];
         this.scenes = scenes.length < 1 ? ["blank"] : [...new Set(scenes)];
         this.active = false;
         this.visible = true;
+        this.destroyed = false;
         this.parentScene = null;
         
         this.debug = false;
@@ -676,10 +2483,26 @@ class gameObject extends ModeAware {
             outline: 1,
         };
         
-        this.objectInstance = MALCgameObjects.length;
+        // Transform at the start of the last simulation step, for interpolation
+        this.previous = { x: x, y: y, rotation: 0 };
+        
+        // Simulated milliseconds, following pausing and time scaling
+        this.timeActive = 0;
+        
         this.lastGroundY = y;
+        this.groundObject = null; // what the object last landed on
+        this.wallObject = null; // what it is pushing against sideways
+        this.ceilingObject = null; // what it last hit its head on
+        this.onScreen = null; // tracked for enterScreen/exitScreen listeners
+        this.coroutines = [];
+        this.components = [];
+        
+        // Transform hierarchy; a child's x, y, rotation and scale are relative to its parent
+        this.parent = null;
+        this.children = [];
         
         MALCgameObjects.push(this);
+        MALCObjectsById.set(this.id, this);
     }
     
     // Mode-specific initialization
@@ -719,29 +2542,62 @@ class gameObject extends ModeAware {
         return this;
     }
     
+    // Time scale of the scene this object is simulated in
+    getTimeScale() {
+        return this.parentScene ? this.parentScene.getTimeScale() : 1;
+    }
+    
+    // Length of the current simulation step in reference ticks
+    timeStep() {
+        return engine.deltaTime * this.getTimeScale() * REFERENCE_TICK_RATE;
+    }
+    
     // Apply gravity to this object (2D version)
     applyGravity2D() {
         if (!this.gravity.enabled) return;
         
+        let step = this.timeStep();
+        
+        if (this.gravity.dropTime > 0) {
+            this.gravity.dropTime = Math.max(0, this.gravity.dropTime - engine.deltaTime * this.getTimeScale() * 1000);
+        }
+        
         // Apply gravity acceleration (scaled by mass)
-        this.gravity.velocity += gameObject.gravity * this.gravity.mass;
+        this.gravity.velocity += gameObject.gravity * this.gravity.mass * step;
         
         // Limit to terminal velocity
         this.gravity.velocity = Math.min(this.gravity.velocity, gameObject.terminalVelocity);
         
         // Apply vertical movement
-        this.y += this.gravity.velocity;
+        this.y += this.gravity.velocity * step;
+        
+        let wasGrounded = this.gravity.grounded;
+        let previousGround = this.groundObject;
+        let previousCeiling = this.ceilingObject;
         
-        // Check for ground collision with other objects
+        // Land on whatever is below, or stop under whatever is above
         this.checkGroundCollision2D();
+        this.checkCeilingCollision2D();
+        
+        if (this.gravity.grounded && this.groundObject && this.groundObject !== previousGround) {
+            this.emit("collide", this.groundObject);
+            this.groundObject.emit("collide", this);
+        }
+        if (this.gravity.touchingCeiling && this.ceilingObject !== previousCeiling) {
+            this.emit("collide", this.ceilingObject);
+            this.ceilingObject.emit("collide", this);
+        }
+        if (this.gravity.grounded && !wasGrounded) {
+            this.emit("grounded", this.groundObject);
+        }
         
-        // If we just landed, stop downward velocity
+        // If we just landed, stop downward velocity (a bounce keeps its upward velocity)
         if (this.gravity.grounded) {
-            this.gravity.velocity = 0;
+            if (this.gravity.velocity > 0) this.gravity.velocity = 0;
             
             // Apply ground friction to horizontal movement
             if (this.gravity.friction > 0 && this.velocityMode === "polar") {
-                this.velocity[0] *= (1 - this.gravity.friction);
+                this.velocity[0] *= Math.pow(1 - this.gravity.friction, this.timeStep());
                 if (Math.abs(this.velocity[0]) < 0.01) this.velocity[0] = 0;
             }
         }
@@ -764,46 +2620,165 @@ class gameObject extends ModeAware {
     
     // Check ground collision in 2D
     checkGroundCollision2D() {
-        if (!this.collition || !this.gravity.enabled) return;
+        if (!this.collision || !this.gravity.enabled) return;
         
         let wasGrounded = this.gravity.grounded;
         this.gravity.grounded = false;
+        this.groundObject = null;
         
-        // Check collision with other objects in the same scene
-        if (this.parentScene && this.parentScene.objects) {
-            this.parentScene.objects.forEach(other => {
-                // Skip self and inactive objects
-                if (other.id === this.id || !other.active) return;
-                
-                // Only check if gravity is enabled on this object and we're moving downward
-                if (this.gravity.velocity <= 0) return;
-                
-                // Check if other object is below this one
-                let verticalDistance = (other.y - other.height/2) - (this.y + this.height/2);
-                
-                // If within ground tolerance and horizontally overlapping
-                if (Math.abs(verticalDistance) <= this.gravity.groundTolerance &&
-                    this.x + this.width/2 > other.x - other.width/2 &&
-                    this.x - this.width/2 < other.x + other.width/2) {
-                    
-                    this.gravity.grounded = true;
-                    this.lastGroundY = other.y - other.height/2 - this.height/2;
-                    
-                    // Apply bounce if enabled
-                    if (this.gravity.bounce > 0 && wasGrounded === false) {
-                        this.gravity.velocity = -this.gravity.velocity * this.gravity.bounce;
-                        
-                        // If bounce velocity is very small, just set to zero
-                        if (Math.abs(this.gravity.velocity) < 0.1) {
-                            this.gravity.velocity = 0;
-                        }
-                    } else {
-                        // Position exactly on ground
-                        this.y = this.lastGroundY;
-                    }
-                }
-            });
+        // Only objects moving downward land
+        if (!this.parentScene || !this.parentScene.objects || this.gravity.velocity <= 0) return;
+        
+        // Sweep from where the feet were at the start of the step, so a fast fall can't skip the ground
+        let own = this.getCollisionBounds();
+        let tolerance = this.gravity.groundTolerance;
+        let fallen = Math.max(0, this.y - this.previous.y);
+        let ground = null;
+        let groundTop = 0;
+        
+        this.parentScene.getNearby({ left: own.left, right: own.right, top: own.bottom - fallen - tolerance, bottom: own.bottom + tolerance }).forEach(other => {
+            // Skip self, inactive objects and anything this object passes through
+            if (other.id === this.id || !other.active || !this.isBlockedBy(other) || !this.canLandOn(other)) return;
+            
+            let box = other.getCollisionBounds();
+            
+            // Horizontally overlapping, and the feet reached its top during this step
+            if (own.right > box.left && own.left < box.right &&
+                own.bottom - fallen <= box.top + tolerance &&
+                own.bottom >= box.top - tolerance &&
+                (!ground || box.top <= groundTop)) {
+                ground = other;
+                groundTop = box.top;
+            }
+        });
+        if (!ground) return;
+        
+        this.gravity.grounded = true;
+        this.groundObject = ground;
+        this.lastGroundY = this.y + groundTop - own.bottom;
+        
+        // Position exactly on ground
+        this.y = this.lastGroundY;
+        
+        // Apply bounce if enabled
+        if (this.gravity.bounce > 0 && wasGrounded === false) {
+            this.gravity.velocity = -this.gravity.velocity * this.gravity.bounce;
+            
+            // If bounce velocity is very small, just set to zero
+            if (Math.abs(this.gravity.velocity) < 0.1) {
+                this.gravity.velocity = 0;
+            }
+        }
+    }
+    
+    // Stop an object moving upward at the underside of whatever is above it
+    checkCeilingCollision2D() {
+        if (!this.collision || !this.gravity.enabled) return;
+        
+        this.gravity.touchingCeiling = false;
+        this.ceilingObject = null;
+        
+        if (!this.parentScene || !this.parentScene.objects || this.gravity.velocity >= 0) return;
+        
+        let own = this.getCollisionBounds();
+        let tolerance = this.gravity.groundTolerance;
+        let risen = Math.max(0, this.previous.y - this.y);
+        let ceiling = null;
+        let ceilingBottom = 0;
+        
+        this.parentScene.getNearby({ left: own.left, right: own.right, top: own.top - tolerance, bottom: own.top + risen + tolerance }).forEach(other => {
+            // One-way platforms let objects jump up through them
+            if (other.id === this.id || !other.active || !this.isBlockedBy(other) || other.oneWay) return;
+            
+            let box = other.getCollisionBounds();
+            if (own.right > box.left && own.left < box.right &&
+                own.top + risen >= box.bottom - tolerance &&
+                own.top <= box.bottom + tolerance &&
+                (!ceiling || box.bottom >= ceilingBottom)) {
+                ceiling = other;
+                ceilingBottom = box.bottom;
+            }
+        });
+        if (!ceiling) return;
+        
+        this.gravity.touchingCeiling = true;
+        this.ceilingObject = ceiling;
+        this.y += ceilingBottom - own.top;
+        this.gravity.velocity = 0;
+    }
+    
+    // Push an object out of anything beside it after it moves horizontally, and stop
+    // its horizontal velocity into the wall. Scripts that move x directly are caught too
+    checkWallCollision2D() {
+        if (!this.collision || !this.gravity.enabled) return;
+        
+        this.gravity.touchingWall = false;
+        this.gravity.wallSide = 0;
+        this.wallObject = null;
+        
+        if (!this.parentScene || !this.parentScene.objects) return;
+        
+        let own = this.getCollisionBounds();
+        let tolerance = this.gravity.groundTolerance;
+        let moved = this.x - this.previous.x;
+        
+        this.parentScene.getNearby({
+            left: own.left - Math.max(0, moved) - tolerance,
+            right: own.right - Math.min(0, moved) + tolerance,
+            top: own.top,
+            bottom: own.bottom
+        }).forEach(other => {
+            if (other.id === this.id || !other.active || !this.isBlockedBy(other) || other.oneWay) return;
+            
+            own = this.getCollisionBounds();
+            let box = other.getCollisionBounds();
+            
+            // The ground underfoot and the ceiling overhead aren't walls
+            if (own.bottom <= box.top + tolerance || own.top >= box.bottom - tolerance) return;
+            if (own.right < box.left - tolerance || own.left > box.right + tolerance) return;
+            
+            // Push out the short way, unless this step's move crossed the wall's edge
+            let side = own.right - box.left < box.right - own.left ? 1 : -1;
+            if (moved > 0 && own.right - moved <= box.left + tolerance) side = 1;
+            if (moved < 0 && own.left - moved >= box.right - tolerance) side = -1;
+            
+            this.x += side > 0 ? box.left - own.right : box.right - own.left;
+            this.gravity.touchingWall = true;
+            this.gravity.wallSide = side;
+            this.wallObject = other;
+            
+            let vx = this.velocityMode == "polar" ? this.velocityMatrix[0] : this.velocity[0];
+            if (vx * side > 0) {
+                this.velocity[0] = 0;
+                if (this.velocityMode == "polar") this.velocityMatrix[0] = 0;
+            }
+        });
+    }
+    
+    // Whether this object can stand on other. One-way platforms only catch objects
+    // that were above them at the start of the step and aren't dropping through
+    canLandOn(other) {
+        if (!other.oneWay) return true;
+        if (this.gravity.dropTime > 0) return false;
+        
+        let fallen = Math.max(0, this.y - this.previous.y);
+        return this.getCollisionBounds().bottom - fallen <= other.getCollisionBounds().top + this.gravity.groundTolerance;
+    }
+    
+    // Fall through the one-way platform this object is standing on
+    dropThrough(ms = 250) {
+        this.gravity.dropTime = ms;
+        if (this.groundObject && this.groundObject.oneWay) {
+            this.gravity.grounded = false;
+            this.groundObject = null;
         }
+        return this;
+    }
+    
+    // Make this object a one-way platform that can be jumped up through
+    setOneWay(oneWay = true) {
+        this.oneWay = oneWay;
+        return this;
     }
     
     // Check ground collision in 3D (placeholder)
@@ -815,16 +2790,26 @@ class gameObject extends ModeAware {
     update() {
         if (!this.active) return;
         
+        // Update parent scene reference
+        this.updateParentScene();
+        
+        // Hold still (and stop interpolating) while the scene is paused
+        if (this.getTimeScale() === 0) {
+            this.previous = { x: this.x, y: this.y, rotation: this.rotation };
+            return;
+        }
+        
         if (this.isMode2D()) {
             this.update2D();
         } else {
             this.update3D();
         }
+        if (this.parentScene) this.parentScene.updateSpatialEntry(this);
         
-        // Update parent scene reference
-        this.updateParentScene();
+        // After movement so transitions see this step's grounded state and velocity
+        this.animator.update(engine.deltaTime * this.getTimeScale());
         
-        MALCgameObjects[this.objectInstance] = this;
+        this.timeActive += engine.deltaTime * this.getTimeScale() * 1000;
     }
     
     // 2D update logic
@@ -832,6 +2817,7 @@ class gameObject extends ModeAware {
         // Apply gravity if enabled
         this.applyGravity();
         
+        let step = this.timeStep();
         let vel = this.velocity[0];
         let angle = this.velocity[1];
         
@@ -856,8 +2842,8 @@ class gameObject extends ModeAware {
             let vy = 0;
             
             try {
-                vx = vel * _p5.prototype.cos(rot);
-                vy = vel * _p5.prototype.sin(rot);
+                vx = vel * _p.cos(rot);
+                vy = vel * _p.sin(rot);
             } catch (e) {
                 // Fallback if p5 isn't ready
                 vx = vel * Math.cos(rot);
@@ -868,89 +2854,596 @@ class gameObject extends ModeAware {
             
             // Don't apply horizontal movement if gravity is enabled and we're grounded with friction
             if (!(this.gravity.enabled && this.gravity.grounded && this.gravity.friction > 0)) {
-                this.x += vx;
+                this.x += vx * step;
             }
             
             // Vertical movement is handled by gravity when enabled
             if (!this.gravity.enabled) {
-                this.y += vy;
+                this.y += vy * step;
             }
         } else {
             // Cartesian velocity mode
             if (!(this.gravity.enabled && this.gravity.grounded && this.gravity.friction > 0)) {
-                this.x += vel;
+                this.x += vel * step;
             }
             if (!this.gravity.enabled) {
-                this.y += angle;
+                this.y += angle * step;
+            }
+        }
+        
+        // Walls are resolved after the horizontal move, like the ground after the vertical one
+        if (this.gravity.enabled) {
+            let previousWall = this.wallObject;
+            this.checkWallCollision2D();
+            if (this.wallObject && this.wallObject !== previousWall) {
+                this.emit("collide", this.wallObject);
+                this.wallObject.emit("collide", this);
+            }
+        }
+    }
+    
+    // 3D update logic (placeholder)
+    update3D() {
+        console.warn("3D updates not yet implemented");
+    }
+    
+    // Run attached scripts (scripts stage)
+    runScripts() {
+        if (!this.active || this.getTimeScale() === 0) return;
+        
+        this.scripts.forEach(s => {
+            if(typeof s == "function")s(this);
+        });
+        
+        this.updateComponents(engine.deltaTime * this.getTimeScale());
+        this.updateCoroutines(engine.deltaTime * this.getTimeScale() * 1000);
+    }
+    
+    // Run a generator function as a coroutine; it first runs on the next scripts step
+    startCoroutine(routine, ...args) {
+        let coroutine = new Coroutine(this, routine, ...args);
+        coroutine.attached = true;
+        this.coroutines.push(coroutine);
+        return coroutine;
+    }
+    
+    stopCoroutines() {
+        this.coroutines.forEach(c => c.stop());
+        this.coroutines = [];
+        return this;
+    }
+    
+    updateCoroutines(ms) {
+        [...this.coroutines].forEach(c => c.update(ms));
+        this.coroutines = this.coroutines.filter(c => !c.done);
+    }
+    
+    // ========== COMPONENTS ==========
+    
+    addComponent(Type, options = {}) {
+        if (typeof Type != "function") {
+            console.error("addComponent expects a component class, e.g. addComponent(Health, {max: 100})");
+            return null;
+        }
+        if (!Object.values(Component.types).includes(Type)) Component.register(Type);
+        
+        let component = new Type(this, options);
+        component.gameObject = this;
+        component.configure(options);
+        this.components.push(component);
+        return component;
+    }
+    
+    // Look a component up by class or registered name
+    getComponent(Type) {
+        return this.getComponents(Type)[0] || null;
+    }
+    
+    getComponents(Type) {
+        if (typeof Type == "string") Type = Component.getType(Type);
+        if (typeof Type != "function") return [];
+        return this.components.filter(c => c instanceof Type);
+    }
+    
+    hasComponent(Type) {
+        return this.getComponents(Type).length > 0;
+    }
+    
+    // Remove a component instance, or every component of a class
+    removeComponent(TypeOrComponent) {
+        let removing = TypeOrComponent instanceof Component ? [TypeOrComponent] : this.getComponents(TypeOrComponent);
+        
+        removing.forEach(component => {
+            let index = this.components.indexOf(component);
+            if (index == -1) return;
+            this.components.splice(index, 1);
+            if (component.started) component.onDestroy();
+        });
+        return this;
+    }
+    
+    updateComponents(dt) {
+        // Components added during an update start on the next step
+        [...this.components].forEach(component => {
+            if (!component.enabled || !this.components.includes(component)) return;
+            if (!component.started) {
+                component.started = true;
+                component.start();
             }
-        }
+            component.update(dt);
+        });
     }
     
-    // 3D update logic (placeholder)
-    update3D() {
-        console.warn("3D updates not yet implemented");
+    renderComponents() {
+        this.components.forEach(component => {
+            if (component.enabled && component.started) component.render();
+        });
+    }
+    
+    serializeComponents() {
+        return this.components.map(c => c.toJSON());
+    }
+    
+    // Add components from serializeComponents() output; their classes must be registered
+    loadComponents(list = []) {
+        list.forEach(entry => {
+            let Type = Component.getType(entry.type);
+            if (!Type) {
+                console.warn(`Unknown component type "${entry.type}". Register it with MALC.registerComponent()`);
+                return;
+            }
+            let data = pendingComponents ? entry.data : resolveComponentRefs(entry.data, id => gameObject.getObjectById(id));
+            let component = this.addComponent(Type, data);
+            component.enabled = entry.enabled !== false;
+            if (pendingComponents) pendingComponents.push(component);
+        });
+        return this;
     }
     
     // Render based on current mode
     render() {
         if (!this.active) return;
         
-        this.scripts.forEach(s => {
-            if(typeof s == "function")s(this);
-        });
-        
         if (this.isMode2D()) {
             this.render2D();
         } else {
             this.render3D();
         }
+        
+        if (this.visible) this.renderComponents();
+    }
+    
+    // Position to draw at, interpolated between simulation steps when MALC.interpolate is on
+    getRenderPosition(alpha = engine.alpha) {
+        let local;
+        if (!engine.interpolate || !this.previous) {
+            local = { x: this.x, y: this.y, rotation: this.rotation, scale: this.scale };
+        } else {
+            // Turn the short way round when the angle wraps, e.g. 359 to 1
+            let turn = this.rotationMode == "degrees" ? 360 : Math.PI * 2;
+            let spin = this.rotation - this.previous.rotation;
+            spin = ((spin + turn / 2) % turn + turn) % turn - turn / 2;
+            local = {
+                x: this.previous.x + (this.x - this.previous.x) * alpha,
+                y: this.previous.y + (this.y - this.previous.y) * alpha,
+                rotation: this.previous.rotation + spin * alpha,
+                scale: this.scale
+            };
+        }
+        return this.parent ? this.parent.localToWorld(local, this.rotationMode, this.parent.getRenderPosition(alpha)) : local;
     }
     
     // 2D render logic
     render2D() {
         let outline = this.formatting.outline;
-        let hb = this.hitbox;
+        let pos = this.getRenderPosition();
         
         // Draw debug hitbox if enabled
         if (this.debug) {
-            _p5.prototype.push();
-            _p5.prototype.translate(this.x, this.y);
-            _p5.prototype.rectMode(_p5.prototype.CENTER);
-            if (this.rotationMode == "degrees") _p5.prototype.angleMode(_p5.prototype.DEGREES);
-            _p5.prototype.rotate(this.rotation + hb.rotation);
-
-            _p5.prototype.stroke("#00FF27");
-            _p5.prototype.strokeWeight(hb.outline);
-            _p5.prototype.noFill();
-            _p5.prototype.rect(hb.x, hb.y, this.width + hb.width, this.height + hb.height);
+            this.renderHitbox(pos);
             
             // Draw gravity indicator if enabled
             if (this.gravity.enabled) {
-                _p5.prototype.stroke(0, 255, 0, 100);
-                _p5.prototype.line(0, 0, 0, this.gravity.velocity * 5);
+                _p.push();
+                _p.stroke(0, 255, 0, 100);
+                _p.line(pos.x, pos.y, pos.x, pos.y + this.gravity.velocity * 5);
+                _p.pop();
             }
-            
-            _p5.prototype.pop();
         }
         
         if (!this.visible) return;
         
-        _p5.prototype.push();
-        _p5.prototype.translate(this.x, this.y);
-        _p5.prototype.rectMode(_p5.prototype.CENTER);
-        if (this.rotationMode == "degrees") _p5.prototype.angleMode(_p5.prototype.DEGREES);
-        _p5.prototype.rotate(this.rotation);
+        _p.push();
+        _p.translate(pos.x, pos.y);
+        _p.rectMode(_p.CENTER);
+        if (this.rotationMode == "degrees") _p.angleMode(_p.DEGREES);
+        _p.rotate(pos.rotation);
+        
+        if (this.sprite) {
+            this.renderSprite(pos.scale);
+            _p.pop();
+            return;
+        }
         
         if (outline[0]) {
-            _p5.prototype.strokeWeight(outline[1]);
-            _p5.prototype.stroke(outline[2]);
+            _p.strokeWeight(outline[1]);
+            _p.stroke(outline[2]);
+        } else {
+            _p.noStroke();
+        }
+        
+        _p.fill(this.formatting.color);
+        this.renderShape(pos.scale);
+        _p.pop();
+    }
+    
+    // Draw the object's shape around the current origin with the current fill and stroke
+    renderShape(scale = 1) {
+        let w = this.width * scale;
+        let h = this.height * scale;
+        let type = this.shape.type;
+        
+        if (type == "circle") {
+            _p.circle(0, 0, Math.min(w, h));
+        } else if (type == "ellipse") {
+            _p.ellipse(0, 0, w, h);
+        } else if (type == "polygon") {
+            _p.beginShape();
+            this.getShapePoints().forEach(([x, y]) => _p.vertex(x * scale, y * scale));
+            _p.endShape(_p.CLOSE);
+        } else if (type == "line") {
+            _p.stroke(this.formatting.color);
+            _p.strokeWeight(Math.max(1, h));
+            _p.line(-w / 2, 0, w / 2, 0);
+        } else if (type == "capsule") {
+            _p.rect(0, 0, w, h, Math.min(w, h) / 2);
+        } else {
+            _p.rect(0, 0, w, h);
+        }
+    }
+    
+    // Draw the sprite around the current origin (already translated and rotated)
+    renderSprite(scale = 1) {
+        let sprite = this.sprite;
+        let size = this.getSpriteSize();
+        let w = size.width * scale;
+        let h = size.height * scale;
+        
+        // Nothing to draw until the image has loaded
+        if (!sprite.image || !w || !h) return;
+        
+        let dx = -sprite.anchor[0] * w;
+        let dy = -sprite.anchor[1] * h;
+        
+        _p.scale(sprite.flipX ? -1 : 1, sprite.flipY ? -1 : 1);
+        _p.imageMode(_p.CORNER);
+        
+        // During a crossfade the previous frame fades out under the new one
+        let fade = this.animator.fade;
+        let fadeAmount = this.animator.getFadeAmount();
+        if (fade && fade.image) {
+            this.drawSpriteImage(fade.image, fade.source, dx, dy, w, h, fadeAmount);
+        }
+        this.drawSpriteImage(sprite.image, this.getSpriteSource(), dx, dy, w, h, 1 - fadeAmount);
+    }
+    
+    drawSpriteImage(image, source, dx, dy, w, h, opacity = 1) {
+        let tint = this.sprite.tint;
+        let tinted = tint !== null || opacity < 1;
+        
+        if (opacity < 1) {
+            let c = _p.color(tint !== null ? tint : 255);
+            _p.tint(_p.red(c), _p.green(c), _p.blue(c), _p.alpha(c) * opacity);
+        } else if (tint !== null) {
+            _p.tint(tint);
+        }
+        
+        if (source) {
+            _p.image(image, dx, dy, w, h, source.x, source.y, source.w, source.h);
         } else {
-            _p5.prototype.noStroke();
+            _p.image(image, dx, dy, w, h);
+        }
+        
+        if (tinted) _p.noTint();
+    }
+    
+    // ========== SPRITES ==========
+    
+    // Draw an image, a path to load, or a SpriteSheet instead of the rectangle.
+    // Only drawing changes; width, height and hitbox still define collisions.
+    // options: {frame, width, height, scale, anchor, flipX, flipY, tint}
+    setSprite(image, options = {}) {
+        if (!image) {
+            this.sprite = null;
+            return this;
+        }
+        
+        let sheet = image instanceof SpriteSheet ? image : null;
+        if (typeof image == "string") image = _p.loadImage(image);
+        
+        this.sprite = {
+            image: sheet ? sheet.image : image,
+            sheet: sheet,
+            frame: options.frame !== undefined ? options.frame : (sheet ? 0 : null), // sheet index or [x, y, w, h]
+            width: options.width || null, // drawn size, defaults to the frame or image size
+            height: options.height || null,
+            scale: options.scale !== undefined ? options.scale : 1, // number or [x, y]
+            anchor: options.anchor || [0.5, 0.5], // point of the sprite placed at the object's position
+            flipX: !!options.flipX,
+            flipY: !!options.flipY,
+            tint: options.tint !== undefined ? options.tint : null
+        };
+        return this;
+    }
+    
+    clearSprite() {
+        this.sprite = null;
+        return this;
+    }
+    
+    // Show another sprite sheet frame, or a source rectangle [x, y, w, h]
+    setFrame(frame) {
+        if (this.sprite) this.sprite.frame = frame;
+        return this;
+    }
+    
+    setTint(tint) {
+        if (this.sprite) this.sprite.tint = tint;
+        return this;
+    }
+    
+    flip(flipX = true, flipY = false) {
+        if (this.sprite) {
+            this.sprite.flipX = flipX;
+            this.sprite.flipY = flipY;
+        }
+        return this;
+    }
+    
+    // Source rectangle {x, y, w, h} in the image, or null for the whole image
+    getSpriteSource() {
+        let sprite = this.sprite;
+        if (!sprite || sprite.frame === null) return null;
+        
+        if (Array.isArray(sprite.frame)) {
+            let [x, y, w, h] = sprite.frame;
+            return { x: x, y: y, w: w, h: h };
+        }
+        return sprite.sheet ? sprite.sheet.getFrame(sprite.frame) : null;
+    }
+    
+    // Drawn size of the sprite before the object's own scale
+    getSpriteSize() {
+        let sprite = this.sprite;
+        if (!sprite) return { width: 0, height: 0 };
+        
+        let source = this.getSpriteSource();
+        let width = sprite.width || (source ? source.w : (sprite.image ? sprite.image.width : 0));
+        let height = sprite.height || (source ? source.h : (sprite.image ? sprite.image.height : 0));
+        let [sx, sy] = Array.isArray(sprite.scale) ? sprite.scale : [sprite.scale, sprite.scale];
+        
+        return { width: width * sx, height: height * sy };
+    }
+    
+    // ========== SHAPES ==========
+    
+    // "rect", "circle", "ellipse", "line", "capsule", {type: "polygon", sides} or {type: "polygon", points}
+    setShape(shape) {
+        this.shape = normalizeShape(shape);
+        return this;
+    }
+    
+    // Debug outline of each collider, following the interpolated draw position
+    renderHitbox(pos = this.getRenderPosition()) {
+        let world = this.getWorldTransform();
+        _p.push();
+        _p.translate(pos.x - world.x, pos.y - world.y);
+        _p.stroke("#00FF27");
+        _p.strokeWeight(this.hitbox.outline);
+        _p.noFill();
+        this.getCollisionShapes().forEach(drawCollisionShape);
+        _p.pop();
+    }
+    
+    // Outline for a width x height shape (the object's own size by default)
+    getShapePoints(width = this.width, height = this.height) {
+        // Custom points are drawn at the object's size, so they stretch with the hitbox
+        if (this.shape.points && (width != this.width || height != this.height)) {
+            let sx = this.width ? width / this.width : 1;
+            let sy = this.height ? height / this.height : 1;
+            return this.shape.points.map(([x, y]) => [x * sx, y * sy]);
+        }
+        return shapeOutline(this.shape, width, height);
+    }
+    
+    // World-space geometry for hit tests, one shape per collider: {points} for
+    // polygons, or {segment, radius} for circles, lines and capsules.
+    // The hitbox is centred on the object: hitbox.x/y shift it, hitbox.width/height add to
+    // the size and hitbox.rotation turns it about its centre. hitbox.parts replaces it with
+    // several colliders [{x, y, width, height, rotation, shape}] placed relative to the hitbox
+    getCollisionShapes() {
+        let world = this.getWorldTransform();
+        let hb = this.hitbox;
+        let s = world.scale;
+        let worldAngle = this._angleToRadians(world.rotation);
+        let hitboxAngle = this._angleToRadians(hb.rotation || 0);
+        let toWorld = p => {
+            let [x, y] = rotatePoint(p, hitboxAngle);
+            let [wx, wy] = rotatePoint([(x + hb.x) * s, (y + hb.y) * s], worldAngle);
+            return [world.x + wx, world.y + wy];
+        };
+        
+        if (Array.isArray(hb.parts) && hb.parts.length > 0) {
+            return hb.parts.map(part => {
+                let shape = normalizeShape(part.shape);
+                let width = part.width || 0;
+                let height = part.height || 0;
+                let partAngle = this._angleToRadians(part.rotation || 0);
+                let place = p => {
+                    let [x, y] = rotatePoint(p, partAngle);
+                    return toWorld([x + (part.x || 0), y + (part.y || 0)]);
+                };
+                return buildCollisionShape(shape, width, height, shapeOutline(shape, width, height), place, s);
+            });
+        }
+        
+        let width = Math.max(0, this.width + hb.width);
+        let height = Math.max(0, this.height + hb.height);
+        return [buildCollisionShape(this.shape, width, height, this.getShapePoints(width, height), toWorld, s)];
+    }
+    
+    // The first collider; objects without hitbox.parts only have one
+    getCollisionShape() {
+        return this.getCollisionShapes()[0];
+    }
+    
+    // World-space {left, right, top, bottom} around the hitbox
+    getCollisionBounds() {
+        let bounds = this.getCollisionShapes().map(shapeBounds);
+        return {
+            left: Math.min(...bounds.map(b => b.left)),
+            right: Math.max(...bounds.map(b => b.right)),
+            top: Math.min(...bounds.map(b => b.top)),
+            bottom: Math.max(...bounds.map(b => b.bottom))
+        };
+    }
+    
+    // How this object overlaps another: null when apart, otherwise {other, normal, depth, part, otherPart}
+    // with normal pointing from this object towards the other one. With hitbox parts it is the
+    // deepest overlap, and part/otherPart are the indexes of the colliders involved
+    getContact(other) {
+        let contact = null;
+        let others = getShapesOf(other);
+        this.getCollisionShapes().forEach((shape, part) => {
+            others.forEach((otherShape, otherPart) => {
+                let c = shapeContact(shape, otherShape);
+                if (c && (!contact || c.depth > contact.depth)) {
+                    contact = { other: other, normal: c.normal, depth: c.depth, part: part, otherPart: otherPart };
+                }
+            });
+        });
+        return contact;
+    }
+    
+    // Push this object out of other along the contact normal and stop gravity
+    // carrying it back in. share is how much of the push this object takes:
+    // 1 moves only this object, 0.5 moves both halfway. Returns the contact, or null
+    // when they don't touch or don't block each other (layers, masks, triggers, or a
+    // one-way platform this object isn't coming down onto)
+    resolveCollision(other, share = 1) {
+        if (!this.isBlockedBy(other)) return null;
+        
+        let contact = this.getContact(other);
+        if (!contact || contact.depth === 0) return contact;
+        if (other.oneWay && !(contact.normal[1] > 0 && this.canLandOn(other))) return null;
+        
+        let [nx, ny] = contact.normal;
+        this.moveWorld(-nx * contact.depth * share, -ny * contact.depth * share);
+        if (share < 1 && other instanceof gameObject) {
+            other.moveWorld(nx * contact.depth * (1 - share), ny * contact.depth * (1 - share));
+        }
+        
+        // Falling into something below, or jumping into something above
+        if ((ny > 0 && this.gravity.velocity > 0) || (ny < 0 && this.gravity.velocity < 0)) {
+            this.gravity.velocity = 0;
+        }
+        return contact;
+    }
+    
+    // Whether the layer matrix and both masks let the two objects collide
+    canCollideWith(other) {
+        if (!(other instanceof gameObject)) return this.collision;
+        if (!this.collision || !other.collision) return false;
+        
+        let a = this.collisionLayer;
+        let b = other.collisionLayer;
+        if (!engine.collisionLayers.collides(a, b)) return false;
+        return (!this.collisionMask || this.collisionMask.includes(b)) &&
+               (!other.collisionMask || other.collisionMask.includes(a));
+    }
+    
+    // Whether other stops this object: they can collide and neither is a trigger
+    isBlockedBy(other) {
+        return this.canCollideWith(other) && !this.trigger && !other.trigger;
+    }
+    
+    // Old spelling of collision, kept so existing games keep working
+    get collition() {
+        return this.collision;
+    }
+    
+    set collition(value) {
+        this.collision = value;
+    }
+    
+    setCollisionLayer(layer) {
+        engine.collisionLayers.add(layer);
+        this.collisionLayer = layer;
+        return this;
+    }
+    
+    // Layers this object collides with; no layers (or null) collides with all of them
+    setCollisionMask(...layers) {
+        if (layers.length == 1 && (Array.isArray(layers[0]) || layers[0] === null)) layers = layers[0] || [];
+        engine.collisionLayers.add(...layers);
+        this.collisionMask = layers.length > 0 ? [...layers] : null;
+        return this;
+    }
+    
+    setTrigger(trigger = true) {
+        this.trigger = trigger;
+        return this;
+    }
+    
+    // Emit triggerEnter/triggerStay/triggerExit on this trigger and on the objects it overlaps.
+    // Another trigger gets the events from its own update instead
+    updateTrigger() {
+        let current = new Set();
+        if (this.active && this.trigger && this.parentScene) {
+            this.parentScene.getNearby(this.getCollisionBounds()).forEach(other => {
+                if (other !== this && other.active && this.canCollideWith(other) && this.collidesWith(other)) {
+                    current.add(other);
+                }
+            });
         }
         
-        _p5.prototype.fill(this.formatting.color);
-        _p5.prototype.rect(0, 0, this.width, this.height);
-        _p5.prototype.pop();
+        current.forEach(other => {
+            let event = this.triggerContacts.has(other) ? "triggerStay" : "triggerEnter";
+            this.emit(event, other);
+            if (!other.trigger) other.emit(event, this);
+        });
+        this.triggerContacts.forEach(other => {
+            if (current.has(other)) return;
+            this.emit("triggerExit", other);
+            if (!other.trigger) other.emit("triggerExit", this);
+        });
+        this.triggerContacts = current;
+    }
+    
+    // Shift the object by a world-space offset, whatever its parent
+    moveWorld(dx, dy) {
+        if (this.parent) {
+            let world = this.getWorldPosition();
+            let local = this.parent.worldToLocal(world.x + dx, world.y + dy);
+            this.x = local.x;
+            this.y = local.y;
+        } else {
+            this.x += dx;
+            this.y += dy;
+        }
+        return this;
+    }
+    
+    // Whether a world point is inside the shape, within tolerance pixels
+    containsPoint(x, y, tolerance = 0) {
+        let p = [x, y];
+        return this.getCollisionShapes().some(shape => {
+            if (shape.segment) {
+                return pointSegmentDistance(p, shape.segment[0], shape.segment[1]) <= shape.radius + tolerance;
+            }
+            if (pointInPolygon(p, shape.points)) return true;
+            return tolerance > 0 && polygonEdges(shape.points).some(([a, b]) => pointSegmentDistance(p, a, b) <= tolerance);
+        });
     }
     
     // 3D render logic (placeholder)
@@ -971,8 +3464,10 @@ class gameObject extends ModeAware {
             let scene = Scene.getSceneById(sceneId);
             if (scene && !scene.objects.includes(this)) {
                 scene.objects.push(this);
+                scene.updateSpatialEntry(this);
             }
         }
+        this.children.forEach(child => child.addToScene(sceneId));
         return this;
     }
     
@@ -982,6 +3477,7 @@ class gameObject extends ModeAware {
         if (scene) {
             scene.objects = scene.objects.filter(obj => obj != this);
         }
+        this.children.forEach(child => child.removeFromScene(sceneId));
         return this;
     }
     
@@ -1017,12 +3513,11 @@ class gameObject extends ModeAware {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    // Whether the hitboxes overlap; see getContact for the normal and depth
     collidesWith(other) {
         if (this.isMode2D()) {
-            return (this.x < other.x + other.width &&
-                    this.x + this.width > other.x &&
-                    this.y < other.y + other.height &&
-                    this.y + this.height > other.y);
+            let others = getShapesOf(other);
+            return this.getCollisionShapes().some(shape => others.some(otherShape => shapesOverlap(shape, otherShape)));
         } else {
             // 3D collision detection (placeholder)
             console.warn("3D collision not yet implemented");
@@ -1043,7 +3538,7 @@ class gameObject extends ModeAware {
         // Safely calculate angle
         try {
             if (x && y) {
-                angle = _p5.prototype.atan(pa[1]/pa[0]);
+                angle = _p.atan(pa[1]/pa[0]);
             }
         } catch (e) {
             // Fallback to native Math.atan
@@ -1063,7 +3558,7 @@ class gameObject extends ModeAware {
         
         let da = 0;
         try {
-            da = (_p5.prototype.atan(pa[1]/pa[0]) * 180)/Math.PI;
+            da = (_p.atan(pa[1]/pa[0]) * 180)/Math.PI;
         } catch (e) {
             da = (Math.atan(pa[1]/pa[0]) * 180)/Math.PI;
         }
@@ -1092,97 +3587,464 @@ class gameObject extends ModeAware {
             }
         }
         
-        return angle;
+        return angle;
+    }
+    
+    pointTo(target) {
+        if (target.x !== undefined && target.y !== undefined) {
+            this.rotation = this.directionTo(target.x, target.y);
+        }
+        return this;
+    }
+    
+    setPosition(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.previous = { x: x, y: y, rotation: this.rotation };
+        if (this.isMode3D() && z !== undefined) {
+            this.z = z;
+        }
+        return this;
+    }
+    
+    move(dx, dy, dz) {
+        this.x += dx;
+        this.y += dy;
+        if (this.isMode3D() && dz !== undefined) {
+            this.z += dz;
+        }
+        return this;
+    }
+    
+    setVelocity(speed, x, y, err = 0.5){
+        let angle = this.directionTo(x,y,err);
+        
+        if(isNaN(angle)){
+            angle = 0;
+            speed = 0;
+        }
+        
+        this.velocity = [speed, angle]; 
+        return this.velocity;
+    }
+    
+    // Stops the object straight away; it leaves the object lists at the end of the frame
+    destroy() {
+        if (this.destroyed) return;
+        
+        [...this.children].forEach(child => child.destroy());
+        if (this.parent) this.parent.removeChild(this, false);
+        
+        this.removeFromAllScenes();
+        this.stopCoroutines();
+        [...this.components].forEach(c => this.removeComponent(c));
+        this.active = false;
+        this.destroyed = true;
+        MALCDestroyQueue.push(this);
+        this.emit("destroyed", this);
+    }
+    
+    // Change the id, keeping MALC.getObjectById in step
+    setId(id) {
+        if (MALCObjectsById.get(this.id) === this) MALCObjectsById.delete(this.id);
+        this.id = id;
+        MALCObjectsById.set(id, this);
+        return this;
+    }
+    
+    // The configuration clone() copies and prefabs set, as plain JSON-safe data:
+    // everything except position, identity, sprite images and runtime state
+    getProperties() {
+        return {
+            width: this.width,
+            height: this.height,
+            z: this.z,
+            depth: this.depth,
+            rotation: this.rotation,
+            rotationX: this.rotationX,
+            rotationY: this.rotationY,
+            rotationZ: this.rotationZ,
+            rotationMode: this.rotationMode,
+            scale: this.scale,
+            layer: this.layer,
+            zIndex: this.zIndex,
+            shape: normalizeShape(this.shape),
+            velocity: [...this.velocity],
+            velocity3D: [...this.velocity3D],
+            velocityMode: this.velocityMode,
+            rvm: this.rvm,
+            formatting: serializeColors(this.formatting),
+            gravity: JSON.parse(JSON.stringify(this.gravity)),
+            debug: this.debug,
+            collision: this.collision,
+            collisionLayer: this.collisionLayer,
+            collisionMask: this.collisionMask ? [...this.collisionMask] : null,
+            trigger: this.trigger,
+            oneWay: this.oneWay,
+            hitbox: JSON.parse(JSON.stringify(this.hitbox)),
+            components: this.serializeComponents()
+        };
+    }
+    
+    // Set any part of getProperties(). Nested objects such as gravity or
+    // formatting are merged, so {gravity: {bounce: 0.5}} keeps the other settings.
+    // sprite takes an image path or {image, ...setSprite options}; other keys are copied as they are
+    applyProperties(props = {}) {
+        Object.keys(props).forEach(key => {
+            let value = props[key];
+            
+            if (key == "components") {
+                this.loadComponents(value);
+            } else if (key == "formatting") {
+                this.formatting = mergeDeep(this.formatting, restoreColors(value));
+            } else if (key == "shape") {
+                this.setShape(value);
+            } else if (key == "sprite") {
+                if (isPlainObject(value)) this.setSprite(value.image, value);
+                else this.setSprite(value);
+            } else if (isPlainObject(value) && isPlainObject(this[key])) {
+                this[key] = mergeDeep(this[key], value);
+            } else {
+                this[key] = copyData(value);
+            }
+        });
+        return this;
+    }
+    
+    // Take over another object's sprite and animation clips
+    copySprite(source) {
+        this.sprite = source.sprite ? {
+            ...source.sprite,
+            frame: Array.isArray(source.sprite.frame) ? [...source.sprite.frame] : source.sprite.frame,
+            scale: Array.isArray(source.sprite.scale) ? [...source.sprite.scale] : source.sprite.scale,
+            anchor: [...source.sprite.anchor]
+        } : null;
+        this.animator = source.animator.clone(this);
+        return this;
+    }
+    
+    clone() {
+        let clone = new gameObject(this.x, this.y, this.width, this.height, ...this.scenes);
+        clone.applyProperties(this.getProperties());
+        clone.copySprite(this);
+        
+        // Copy the whole subtree; a cloned child stays under the same parent
+        this.children.forEach(child => clone.addChild(child.clone()));
+        if (this.parent) this.parent.addChild(clone);
+        return clone;
+    }
+
+    screenToWorld(screenX, screenY) {
+        if (engine.camera && typeof engine.camera.screenToWorld == "function") {
+            return engine.camera.screenToWorld(screenX, screenY);
+        }
+        return { x: screenX, y: screenY };
+    }
+    
+    isOnScreen() {
+        if (!engine.camera) return true;
+        
+        let cameraPos = engine.camera.getOrientation();
+        let screenRight = cameraPos[0] + engine.camera.width;
+        let screenBottom = cameraPos[1] + engine.camera.height;
+        
+        let world = this.getWorldTransform();
+        let halfW = this.width * world.scale / 2;
+        let halfH = this.height * world.scale / 2;
+        
+        return (world.x + halfW > cameraPos[0] &&
+                world.x - halfW < screenRight &&
+                world.y + halfH > cameraPos[1] &&
+                world.y - halfH < screenBottom);
+    }
+    
+    updateScreenEvent() {
+        if (this.listenerCount("enterScreen") === 0 && this.listenerCount("exitScreen") === 0) {
+            this.onScreen = null;
+            return;
+        }
+        
+        let onScreen = this.isOnScreen();
+        if (onScreen && this.onScreen !== true) this.emit("enterScreen", this);
+        if (!onScreen && this.onScreen === true) this.emit("exitScreen", this);
+        this.onScreen = onScreen;
+    }
+    
+    // ========== HIERARCHY ==========
+    
+    // Attach child to this object. Its x/y/rotation/scale become relative to
+    // this object, unless keepWorldTransform keeps it where it is on screen
+    addChild(child, keepWorldTransform = false) {
+        if (!(child instanceof gameObject) || child === this) {
+            console.error("addChild expects another gameObject");
+            return this;
+        }
+        if (child.isAncestorOf(this)) {
+            console.error("Cannot make an object a child of its own descendant");
+            return this;
+        }
+        
+        let world = keepWorldTransform ? child.getWorldTransform() : null;
+        if (child.parent) child.parent.removeChild(child, false);
+        
+        child.parent = this;
+        this.children.push(child);
+        
+        // Children live in the same scenes as their parent
+        this.scenes.forEach(sceneId => child.addToScene(sceneId));
+        
+        if (world) child.setWorldTransform(world);
+        child.previous = { x: child.x, y: child.y, rotation: child.rotation };
+        return this;
+    }
+    
+    // Detach child; by default it keeps its world transform and becomes a top-level object
+    removeChild(child, keepWorldTransform = true) {
+        let index = this.children.indexOf(child);
+        if (index == -1) return this;
+        
+        let world = keepWorldTransform ? child.getWorldTransform() : null;
+        this.children.splice(index, 1);
+        child.parent = null;
+        
+        if (world) {
+            child.setWorldTransform(world);
+            child.previous = { x: child.x, y: child.y, rotation: child.rotation };
+        }
+        return this;
+    }
+    
+    getChildren() {
+        return [...this.children];
+    }
+    
+    setLayer(layer) {
+        this.layer = layer;
+        return this;
+    }
+    
+    setZIndex(zIndex) {
+        this.zIndex = zIndex;
+        return this;
+    }
+    
+    // Where the object touches the ground, used to order y-sorted layers
+    getSortY() {
+        let world = this.getWorldTransform();
+        return world.y + this.height * world.scale / 2;
+    }
+    
+    isAncestorOf(obj) {
+        for (let p = obj ? obj.parent : null; p; p = p.parent) {
+            if (p === this) return true;
+        }
+        return false;
+    }
+    
+    // Children draw after their parent, ordered among themselves by zIndex
+    renderChildren() {
+        let ordered = [...this.children].sort((a, b) => a.zIndex - b.zIndex);
+        ordered.forEach(child => {
+            child.render();
+            child.renderChildren();
+        });
+    }
+    
+    // Position, rotation (in this object's rotationMode) and scale after applying every parent
+    getWorldTransform() {
+        let local = { x: this.x, y: this.y, rotation: this.rotation, scale: this.scale };
+        return this.parent ? this.parent.localToWorld(local, this.rotationMode) : local;
+    }
+    
+    getWorldPosition() {
+        let world = this.getWorldTransform();
+        return { x: world.x, y: world.y };
+    }
+    
+    // Convert a transform relative to this object into world space.
+    // world is this object's own world transform (defaults to the current one)
+    localToWorld(local, rotationMode = this.rotationMode, world = this.getWorldTransform()) {
+        let angle = this._angleToRadians(world.rotation, this.rotationMode);
+        let lx = local.x * world.scale;
+        let ly = local.y * world.scale;
+        let rotation = angle + this._angleToRadians(local.rotation || 0, rotationMode);
+        
+        return {
+            x: world.x + lx * Math.cos(angle) - ly * Math.sin(angle),
+            y: world.y + lx * Math.sin(angle) + ly * Math.cos(angle),
+            rotation: this._radiansToAngle(rotation, rotationMode),
+            scale: world.scale * (local.scale === undefined ? 1 : local.scale)
+        };
     }
     
-    pointTo(target) {
-        if (target.x !== undefined && target.y !== undefined) {
-            this.rotation = this.directionTo(target.x, target.y);
-        }
-        return this;
+    // Convert a world point into coordinates relative to this object
+    worldToLocal(x, y) {
+        let world = this.getWorldTransform();
+        let angle = this._angleToRadians(world.rotation, this.rotationMode);
+        let dx = x - world.x;
+        let dy = y - world.y;
+        
+        return {
+            x: (dx * Math.cos(angle) + dy * Math.sin(angle)) / world.scale,
+            y: (-dx * Math.sin(angle) + dy * Math.cos(angle)) / world.scale
+        };
     }
     
-    setPosition(x, y, z) {
-        this.x = x;
-        this.y = y;
-        if (this.isMode3D() && z !== undefined) {
-            this.z = z;
-        }
-        return this;
+    setWorldPosition(x, y) {
+        let local = this.parent ? this.parent.worldToLocal(x, y) : { x: x, y: y };
+        return this.setPosition(local.x, local.y);
     }
     
-    move(dx, dy, dz) {
-        this.x += dx;
-        this.y += dy;
-        if (this.isMode3D() && dz !== undefined) {
-            this.z += dz;
+    // Set local values so the world transform matches world ({x, y, rotation, scale})
+    setWorldTransform(world) {
+        if (!this.parent) {
+            this.x = world.x;
+            this.y = world.y;
+            this.rotation = world.rotation;
+            this.scale = world.scale;
+            return this;
         }
+        
+        let parentWorld = this.parent.getWorldTransform();
+        let local = this.parent.worldToLocal(world.x, world.y);
+        let parentAngle = this._angleToRadians(parentWorld.rotation, this.parent.rotationMode);
+        
+        this.x = local.x;
+        this.y = local.y;
+        this.rotation = this._radiansToAngle(this._angleToRadians(world.rotation) - parentAngle);
+        this.scale = world.scale / parentWorld.scale;
         return this;
     }
     
-    setVelocity(speed, x, y, err = 0.5){
-        let angle = this.directionTo(x,y,err);
-        
-        if(isNaN(angle)){
-            angle = 0;
-            speed = 0;
+    // Helper method for radians conversion without p5
+    _toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+    
+    _angleToRadians(angle, rotationMode = this.rotationMode) {
+        return rotationMode == "degrees" ? this._toRadians(angle) : angle;
+    }
+    
+    _radiansToAngle(radians, rotationMode = this.rotationMode) {
+        return rotationMode == "degrees" ? radians * 180 / Math.PI : radians;
+    }
+}
+
+// ========== PREFABS ==========
+// Named object configurations. A definition is any part of
+// gameObject.getProperties() plus:
+//   extends: name of a prefab to build on (its settings are merged with these)
+//   scripts: functions, or names given to MALC.registerScript, added to the base prefab's
+//   components: [{type, data}] or {Health: {max: 100}}, merged with the base prefab's by type
+// Definitions without functions are plain JSON and can be loaded with MALC.loadPrefabs
+class Prefab {
+    static prefabs = {};
+    static scripts = {};
+    
+    static define(name, definition = {}) {
+        if (typeof name != "string" || !isPlainObject(definition)) {
+            console.error("definePrefab expects a name and a definition object");
+            return null;
         }
-        
-        this.velocity = [speed, angle]; 
-        return this.velocity;
+        Prefab.prefabs[name] = copyData(definition);
+        return Prefab.prefabs[name];
     }
     
-    destroy() {
-        this.removeFromAllScenes();
-        let index = MALCgameObjects.indexOf(this);
-        if (index > -1) {
-            MALCgameObjects.splice(index, 1);
+    static registerScript(name, script) {
+        if (typeof script != "function") {
+            console.error(`Script "${name}" must be a function`);
+            return null;
         }
+        Prefab.scripts[name] = script;
+        return script;
     }
     
-    clone() {
-        let clone = new gameObject(this.x, this.y, this.width, this.height, ...this.scenes);
-        clone.z = this.z;
-        clone.depth = this.depth;
-        clone.rotation = this.rotation;
-        clone.rotationX = this.rotationX;
-        clone.rotationY = this.rotationY;
-        clone.rotationZ = this.rotationZ;
-        clone.rotationMode = this.rotationMode;
-        clone.velocity = [...this.velocity];
-        clone.velocity3D = [...this.velocity3D];
-        clone.velocityMode = this.velocityMode;
-        clone.rvm = this.rvm;
-        clone.formatting = JSON.parse(JSON.stringify(this.formatting));
-        clone.gravity = JSON.parse(JSON.stringify(this.gravity));
-        clone.debug = this.debug;
-        clone.hitbox = JSON.parse(JSON.stringify(this.hitbox));
-        return clone;
+    // {name: definition} object or the same as a JSON string
+    static load(data) {
+        if (typeof data == "string") {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                console.error("Could not parse prefab JSON: " + e.message);
+                return [];
+            }
+        }
+        return Object.keys(data || {}).filter(name => Prefab.define(name, data[name]));
     }
-
-    screenToWorld(screenX, screenY) {
-        if (MALC.camera && typeof MALC.camera.screenToWorld == "function") {
-            return MALC.camera.screenToWorld(screenX, screenY);
+    
+    // Definition with its whole extends chain merged in
+    static resolve(name, chain = []) {
+        let definition = Prefab.prefabs[name];
+        if (!definition) {
+            console.error(`Unknown prefab "${name}"`);
+            return null;
         }
-        return { x: screenX, y: screenY };
+        if (chain.includes(name)) {
+            console.error(`Prefab inheritance loop: ${[...chain, name].join(" -> ")}`);
+            return null;
+        }
+        
+        let base = definition.extends ? Prefab.resolve(definition.extends, [...chain, name]) : {};
+        if (!base) return null;
+        return Prefab.merge(base, definition);
     }
     
-    isOnScreen() {
-        if (!MALC.camera) return true;
+    // Lay overrides over a resolved definition
+    static merge(base, overrides) {
+        let { extends: _, scripts = [], components = [], ...rest } = overrides;
+        let merged = mergeDeep(base, rest);
         
-        let cameraPos = MALC.camera.getOrientation();
-        let screenRight = cameraPos[0] + MALC.camera.width;
-        let screenBottom = cameraPos[1] + MALC.camera.height;
+        merged.scripts = [...(base.scripts || []), ...scripts];
         
-        return (this.x + this.width/2 > cameraPos[0] &&
-                this.x - this.width/2 < screenRight &&
-                this.y + this.height/2 > cameraPos[1] &&
-                this.y - this.height/2 < screenBottom);
+        // Components of the same type merge their data
+        merged.components = (base.components || []).map(c => copyData(c));
+        Prefab.normalizeComponents(components).forEach(entry => {
+            let existing = merged.components.find(c => c.type == entry.type);
+            if (existing) {
+                existing.data = mergeDeep(existing.data, entry.data);
+                if (entry.enabled !== undefined) existing.enabled = entry.enabled;
+            } else {
+                merged.components.push(entry);
+            }
+        });
+        return merged;
     }
     
-    // Helper method for radians conversion without p5
-    _toRadians(degrees) {
-        return degrees * Math.PI / 180;
+    static normalizeComponents(components) {
+        if (Array.isArray(components)) {
+            return components.map(c => ({ type: c.type, enabled: c.enabled, data: copyData(c.data || {}) }));
+        }
+        return Object.keys(components || {}).map(type => ({ type: type, data: copyData(components[type]) }));
+    }
+    
+    // instantiate(name, x, y, ...scenes) - end with an object to override the prefab for this instance
+    static instantiate(name, x = 0, y = 0, ...scenes) {
+        let overrides = scenes.length > 0 && isPlainObject(scenes[scenes.length - 1]) ? scenes.pop() : null;
+        
+        let definition = Prefab.resolve(name);
+        if (!definition) return null;
+        if (overrides) definition = Prefab.merge(definition, overrides);
+        
+        let { scripts, shape, ...props } = definition;
+        let obj = new gameObject(x, y, props.width, props.height, ...scenes, { shape: shape });
+        obj.applyProperties(props);
+        obj.prefab = name;
+        
+        scripts.forEach(script => {
+            let fn = typeof script == "string" ? Prefab.scripts[script] : script;
+            if (typeof fn == "function") {
+                obj.scripts.push(fn);
+            } else {
+                console.warn(`Unknown script "${script}" in prefab "${name}". Register it with MALC.registerScript()`);
+            }
+        });
+        
+        // Straight into its scenes, ready for the next frame
+        obj.scenes.forEach(sceneId => {
+            let scene = Scene.getSceneById(sceneId);
+            if (scene) scene.addObject(obj);
+        });
+        return obj;
     }
 }
 
@@ -1197,12 +4059,12 @@ class Button extends gameObject {
         this.buttons.forEach(b => {
             if (!b.active) return;
             
-            b.isHovered = b.events.hover();
+            b.updateInput();
             
             if (MALCbuttons.every(b => !b.events.hover())) {
-                _p5.prototype.cursor();
+                _p.cursor();
             } else if (b.isHovered) {
-                _p5.prototype.cursor(b.cursor);
+                _p.cursor(b.cursor);
             }
         });
     }
@@ -1249,22 +4111,17 @@ class Button extends gameObject {
         
         this.events = {
             hover: (err = 0) => {
-                return !this.isDisabled && (
-                    MALC.mouse.x < this.x + this.width / 2 + err &&
-                    MALC.mouse.x > this.x - (this.width / 2 + err) &&
-                    MALC.mouse.y < this.y + this.height / 2 + err &&
-                    MALC.mouse.y > this.y - (this.height / 2 + err)
-                );
+                return !this.isDisabled && this.containsPoint(engine.mouse.x, engine.mouse.y, err);
             },
             pressed: () => {
-                return this.events.hover() && MALC.mouse.down;
+                return this.events.hover() && engine.mouse.down;
             },
             clicked: () => {
                 let wasPressed = this.wasPressed;
                 let isHovering = this.events.hover();
-                let mouseReleased = !MALC.mouse.down && wasPressed;
+                let mouseReleased = !engine.mouse.down && wasPressed;
 
-                this.wasPressed = MALC.mouse.down && isHovering;
+                this.wasPressed = engine.mouse.down && isHovering;
 
                 return mouseReleased && isHovering;
             }
@@ -1273,13 +4130,11 @@ class Button extends gameObject {
         this.wasPressed = false;
         this.onClick = null;
         
-        this.buttonIndex = MALCbuttons.length;
         MALCbuttons.push(this);
     }
 
-    update(boolean) {
-        super.update(boolean);
-
+    // Hover, press and click detection, run once per frame in the input stage
+    updateInput() {
         if (this.cooldownActive) {
             let currentTime = Date.now();
             if (currentTime - this.lastClickTime >= this.clickCooldown) {
@@ -1290,13 +4145,13 @@ class Button extends gameObject {
         this.isHovered = this.events.hover();
         this.isPressed = this.events.pressed();
 
-        if (this.events.clicked() && this.onClick && !this.isDisabled && !this.cooldownActive) {
-            this.onClick(this);
+        if (this.events.clicked() && !this.isDisabled && !this.cooldownActive &&
+            (this.onClick || this.listenerCount("click") > 0)) {
+            if (this.onClick) this.onClick(this);
+            this.emit("click", this);
             this.lastClickTime = Date.now();
             this.cooldownActive = true;
         }
-
-        MALCbuttons[this.buttonIndex] = this;
     }
 
     render() {
@@ -1322,19 +4177,21 @@ class Button extends gameObject {
         
         if(!this.visible) return;
         
-        _p5.prototype.push();
-        _p5.prototype.translate(this.x, this.y);
-        if (this.rotationMode == "degrees") _p5.prototype.angleMode(_p5.prototype.DEGREES);
-        _p5.prototype.rotate(this.rotation);
+        let pos = this.getRenderPosition();
+        
+        _p.push();
+        _p.translate(pos.x, pos.y);
+        if (this.rotationMode == "degrees") _p.angleMode(_p.DEGREES);
+        _p.rotate(pos.rotation);
         
-        _p5.prototype.textStyle(btnFormat.text.style);
-        _p5.prototype.textSize(btnFormat.text.size);
-        _p5.prototype.fill(btnFormat.text.color);
+        _p.textStyle(btnFormat.text.style);
+        _p.textSize(btnFormat.text.size * pos.scale);
+        _p.fill(btnFormat.text.color);
         
         // Use the standalone coloredText function
-        coloredText(btnFormat.text.display, 0, 0, _p5.prototype.CENTER, _p5.prototype.CENTER);
+        coloredText(btnFormat.text.display, 0, 0, _p.CENTER, _p.CENTER);
         
-        _p5.prototype.pop();
+        _p.pop();
         
         this.formatting.color = originalColor;
     }
@@ -1347,8 +4204,8 @@ class Button extends gameObject {
     }
     
     getRGBFromColor(colorInput) {
-        let c = _p5.prototype.color(colorInput);
-        return [_p5.prototype.red(c), _p5.prototype.green(c), _p5.prototype.blue(c)];
+        let c = _p.color(colorInput);
+        return [_p.red(c), _p.green(c), _p.blue(c)];
     }
     
     getBrightness(colorInput) {
@@ -1358,8 +4215,8 @@ class Button extends gameObject {
     
     scaleColor(baseColor, scaleFactor) {
         let rgb = this.getRGBFromColor(baseColor);
-        let scaledRGB = rgb.map(val => _p5.prototype.constrain(val * scaleFactor, 0, 255));
-        return _p5.prototype.color(scaledRGB);
+        let scaledRGB = rgb.map(val => _p.constrain(val * scaleFactor, 0, 255));
+        return _p.color(scaledRGB);
     }
     
     setColors(normal, hover = null, pressed = null, disabled = null) {
@@ -1378,12 +4235,12 @@ class Button extends gameObject {
             hover = this.scaleColor(normal, hoverScale);
             pressed = this.scaleColor(normal, pressedScale);
         } else {
-            hover = _p5.prototype.color(hover);
-            pressed = _p5.prototype.color(pressed);
+            hover = _p.color(hover);
+            pressed = _p.color(pressed);
         }
         
-        let normalColor = _p5.prototype.color(normal);
-        let disabledColor = disabled !== null ? _p5.prototype.color(disabled) : null;
+        let normalColor = _p.color(normal);
+        let disabledColor = disabled !== null ? _p.color(disabled) : null;
         
         this.formatting.button.colors.normal = normalColor;
         this.formatting.button.colors.hover = hover;
@@ -1450,6 +4307,7 @@ class UIPlane extends ModeAware {
         
         this.scenes = (scenes.length < 1) ? ["blank"] : [...new Set(scenes)];
         this.active = false;
+        this.destroyed = false;
         this.id = generateId('uiPlane');
         
         this.uiIndex = UIPlanes.length;
@@ -1611,48 +4469,48 @@ class UIPlane extends ModeAware {
     }
     
     render() {
-        _p5.prototype.push();
+        _p.push();
         
         this.applyOrientation();
         this.applyTextFormatting();
         
         if (this.formatting.objectScale !== 1) {
-            _p5.prototype.scale(this.formatting.objectScale);
+            _p.scale(this.formatting.objectScale);
         }
         
         if (typeof this.executable == "function") {
             this.executable(this);
         }
         
-        _p5.prototype.pop();
+        _p.pop();
     }
     
     applyOrientation() {
         let [mode, offsetX, offsetY] = this.formatting.orientation;
         
         if (mode.toLowerCase() == "camera") {
-            if (MALC.camera) {
+            if (engine.camera) {
                 let cameraPos;
-                if (typeof MALC.camera.getOrientation == "function") {
-                    cameraPos = MALC.camera.getOrientation();
+                if (typeof engine.camera.getOrientation == "function") {
+                    cameraPos = engine.camera.getOrientation();
                 } else {
-                    cameraPos = [MALC.camera.x || 0, MALC.camera.y || 0];
+                    cameraPos = [engine.camera.x || 0, engine.camera.y || 0];
                 }
-                _p5.prototype.translate(cameraPos[0] + offsetX, cameraPos[1] + offsetY);
+                _p.translate(cameraPos[0] + offsetX, cameraPos[1] + offsetY);
             } else {
-                _p5.prototype.translate(offsetX, offsetY);
+                _p.translate(offsetX, offsetY);
             }
         } else if (mode.toLowerCase() == "screen") {
-            _p5.prototype.translate(offsetX, offsetY);
+            _p.translate(offsetX, offsetY);
         } else if (mode.includes(",")) {
             try {
                 let coords = mode.split(",").map(Number);
                 if (coords.length >= 2) {
-                    if (MALC.camera && typeof MALC.camera.worldToScreen == "function") {
-                        let screenPos = MALC.camera.worldToScreen(coords[0], coords[1]);
-                        _p5.prototype.translate(screenPos.x + offsetX, screenPos.y + offsetY);
+                    if (engine.camera && typeof engine.camera.worldToScreen == "function") {
+                        let screenPos = engine.camera.worldToScreen(coords[0], coords[1]);
+                        _p.translate(screenPos.x + offsetX, screenPos.y + offsetY);
                     } else {
-                        _p5.prototype.translate(coords[0] + offsetX, coords[1] + offsetY);
+                        _p.translate(coords[0] + offsetX, coords[1] + offsetY);
                     }
                 }
             } catch (e) {
@@ -1661,113 +4519,526 @@ class UIPlane extends ModeAware {
         }
     }
     
-    applyTextFormatting() {
-        _p5.prototype.textSize(this.formatting.txt.base);
-        _p5.prototype.fill(this.formatting.txt.color);
-        _p5.prototype.textAlign(_p5.prototype.LEFT, _p5.prototype.TOP);
+    applyTextFormatting() {
+        _p.textSize(this.formatting.txt.base);
+        _p.fill(this.formatting.txt.color);
+        _p.textAlign(_p.LEFT, _p.TOP);
+    }
+    
+    drawText(str, x, y, hAlign = _p.LEFT, vAlign = _p.TOP) {
+        _p.push();
+        
+        if (str.startsWith("[title]")) {
+            _p.textSize(this.formatting.txt.title);
+            str = str.replace("[title]", "");
+        } else if (str.startsWith("[heading]")) {
+            _p.textSize(this.formatting.txt.heading);
+            str = str.replace("[heading]", "");
+        } else if (str.startsWith("[subtitle]")) {
+            _p.textSize(this.formatting.txt.subtitle);
+            str = str.replace("[subtitle]", "");
+        } else {
+            _p.textSize(this.formatting.txt.base);
+        }
+        
+        _p.fill(this.formatting.txt.color);
+        _p.textAlign(hAlign, vAlign);
+        _p.text(str, x, y);
+        
+        _p.pop();
+    }
+    
+    drawButton(button, x, y) {
+        _p.push();
+        
+        if (this.formatting.objectScale !== 1) {
+            _p.scale(this.formatting.objectScale);
+        }
+        
+        if (button && typeof button.render == "function") {
+            button.render();
+        }
+        
+        _p.pop();
+    }
+    
+    belongsToScene(sceneId) {
+        return this.scenes.includes(sceneId) || this.scenes.includes("blank");
+    }
+    
+    addToScene(sceneId) {
+        if (!this.scenes.includes(sceneId)) {
+            this.scenes.push(sceneId);
+        }
+        return this;
+    }
+    
+    removeFromScene(sceneId) {
+        this.scenes = this.scenes.filter(id => id != sceneId);
+        return this;
+    }
+    
+    addToScenes(sceneIds) {
+        sceneIds.forEach(id => this.addToScene(id));
+        return this;
+    }
+    
+    removeFromAllScenes() {
+        this.scenes = [];
+        return this;
+    }
+    
+    resetFormatting() {
+        this.formatting = JSON.parse(JSON.stringify(this._formatting));
+        return this;
+    }
+    
+    setTextStyle(property, value) {
+        if (this.formatting.txt.hasOwnProperty(property)) {
+            this.formatting.txt[property] = value;
+        }
+        return this;
+    }
+    
+    setOrientation(mode, offsetX = 0, offsetY = 0) {
+        this.formatting.orientation = [mode, offsetX, offsetY];
+        return this;
+    }
+    
+    setScale(scale) {
+        this.formatting.objectScale = scale;
+        return this;
+    }
+    
+    destroy() {
+        this.removeFromAllScenes();
+        let index = UIPlanes.indexOf(this);
+        if (index > -1) {
+            UIPlanes.splice(index, 1);
+        }
+        this.destroyed = true;
+    }
+    
+    clone() {
+        let clone = new UIPlane(
+            this.executable,
+            [...this.scenes],
+            ...this.scenes
+        );
+        clone.formatting = JSON.parse(JSON.stringify(this.formatting));
+        return clone;
+    }
+}
+
+// ========== SCENE SERIALIZATION ==========
+const SCENE_SCHEMA = "malc.scene";
+const SCENE_SCHEMA_VERSION = 1;
+
+// Upgrade steps keyed by the version they upgrade from: {1: data => data}
+const SCENE_MIGRATIONS = {};
+
+// One entry per class, see registerSerializer
+const OBJECT_SERIALIZERS = [];
+
+// Teach scenes to save a gameObject subclass.
+// create(data) builds the object (default: new Type(x, y, width, height)),
+// toJSON(obj) returns extra JSON-safe data and fromJSON(obj, extra, data) applies it on load
+function registerSerializer(name, Type, options = {}) {
+    if (typeof name != "string" || typeof Type != "function") {
+        console.error("registerSerializer expects a name and a class");
+        return null;
+    }
+    let entry = {
+        name: name,
+        Type: Type,
+        create: options.create || null,
+        toJSON: options.toJSON || null,
+        fromJSON: options.fromJSON || null
+    };
+    let index = OBJECT_SERIALIZERS.findIndex(s => s.name == name);
+    if (index > -1) OBJECT_SERIALIZERS[index] = entry;
+    else OBJECT_SERIALIZERS.push(entry);
+    return entry;
+}
+
+// The entry for the most derived registered class the object belongs to
+function getSerializer(obj) {
+    let best = null;
+    OBJECT_SERIALIZERS.forEach(entry => {
+        if (obj instanceof entry.Type && (!best || entry.Type.prototype instanceof best.Type)) {
+            best = entry;
+        }
+    });
+    return best;
+}
+
+// Functions can't go into JSON, so scripts are saved by their registered name
+function getScriptName(script) {
+    return Object.keys(Prefab.scripts).find(name => Prefab.scripts[name] === script) || null;
+}
+
+function getScript(name, owner) {
+    if (typeof Prefab.scripts[name] == "function") return Prefab.scripts[name];
+    console.warn(`Unknown script "${name}" in ${owner}. Register it with MALC.registerScript()`);
+    return null;
+}
+
+// p5 colours keep their channels in levels
+function isColor(value) {
+    return !!value && typeof value == "object" && Array.isArray(value.levels);
+}
+
+function serializeColor(color) {
+    if (isColor(color)) return { levels: [...color.levels] };
+    return copyData(color);
+}
+
+// Copy of formatting data with every p5 colour in it saved as {levels: [r, g, b, a]}
+function serializeColors(value) {
+    if (isColor(value)) return serializeColor(value);
+    if (Array.isArray(value)) return value.map(serializeColors);
+    if (isPlainObject(value)) {
+        let result = {};
+        Object.keys(value).forEach(key => result[key] = serializeColors(value[key]));
+        return result;
+    }
+    return value;
+}
+
+// Turn saved {levels} back into p5 colours. Built from a CSS string so the
+// current colorMode doesn't change them
+function restoreColors(value) {
+    if (isPlainObject(value) && Array.isArray(value.levels)) {
+        let [r, g, b, a = 255] = value.levels;
+        return _p.color(`rgba(${r}, ${g}, ${b}, ${a / 255})`);
+    }
+    if (Array.isArray(value)) return value.map(restoreColors);
+    if (isPlainObject(value)) {
+        let result = {};
+        Object.keys(value).forEach(key => result[key] = restoreColors(value[key]));
+        return result;
+    }
+    return value;
+}
+
+function serializeObject(obj) {
+    let entry = getSerializer(obj);
+    let scripts = obj.scripts.map(getScriptName).filter(name => name);
+    if (scripts.length < obj.scripts.length) {
+        console.warn(`Object "${obj.id}" has unregistered scripts that won't be saved`);
+    }
+    
+    let data = {
+        type: entry ? entry.name : "gameObject",
+        id: obj.id,
+        x: obj.x,
+        y: obj.y,
+        parent: obj.parent ? obj.parent.id : null,
+        visible: obj.visible,
+        prefab: obj.prefab || null,
+        scripts: scripts,
+        properties: obj.getProperties()
+    };
+    if (entry && entry.toJSON) data.data = entry.toJSON(obj);
+    return data;
+}
+
+// Build an object from serializeObject() data. It isn't in any scene yet
+function deserializeObject(data) {
+    let entry = OBJECT_SERIALIZERS.find(s => s.name == data.type);
+    if (!entry) {
+        console.warn(`No serializer registered for "${data.type}", loading it as a gameObject`);
+        entry = OBJECT_SERIALIZERS.find(s => s.name == "gameObject");
+    }
+    
+    let props = data.properties || {};
+    let obj = entry.create ? entry.create(data) : new entry.Type(data.x, data.y, props.width, props.height);
+    obj.removeFromAllScenes();
+    obj.x = data.x;
+    obj.y = data.y;
+    obj.previous = { x: data.x, y: data.y, rotation: props.rotation || 0 };
+    obj.applyProperties(props);
+    
+    if (data.visible !== undefined) obj.visible = data.visible;
+    // Saves from before collision lived in the properties
+    if (data.collition !== undefined) obj.collision = data.collition;
+    if (data.prefab) obj.prefab = data.prefab;
+    (data.scripts || []).forEach(name => {
+        let script = getScript(name, `object "${data.id}"`);
+        if (script) obj.scripts.push(script);
+    });
+    
+    if (entry.fromJSON) entry.fromJSON(obj, data.data || {}, data);
+    return obj;
+}
+
+function serializeUIPlane(uiPlane) {
+    return {
+        id: uiPlane.id,
+        executable: getScriptName(uiPlane.executable),
+        formatting: serializeColors(uiPlane.formatting)
+    };
+}
+
+// Scene data from toJSON() or its JSON string, migrated to the current version
+function readSceneData(data) {
+    if (typeof data == "string") {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            console.error("Could not parse scene JSON: " + e.message);
+            return null;
+        }
+    }
+    return migrateSceneData(data);
+}
+
+// Bring older scene data up to the current schema version
+function migrateSceneData(data) {
+    if (!data || data.schema != SCENE_SCHEMA) {
+        console.error("Not MALC scene data");
+        return null;
+    }
+    
+    let version = data.version || 1;
+    if (version > SCENE_SCHEMA_VERSION) {
+        console.error(`Scene data is version ${version}, this MALC reads up to version ${SCENE_SCHEMA_VERSION}`);
+        return null;
+    }
+    
+    let migrated = copyData(data);
+    while (version < SCENE_SCHEMA_VERSION) {
+        if (SCENE_MIGRATIONS[version]) migrated = SCENE_MIGRATIONS[version](migrated) || migrated;
+        version++;
+        migrated.version = version;
+    }
+    return migrated;
+}
+
+registerSerializer("gameObject", gameObject);
+
+registerSerializer("Button", Button, {
+    create: data => new Button(data.x, data.y, data.properties.width, data.properties.height),
+    toJSON: button => ({
+        isDisabled: button.isDisabled,
+        clickCooldown: button.clickCooldown,
+        cursor: button.cursor,
+        onClick: getScriptName(button.onClick)
+    }),
+    fromJSON: (button, extra) => {
+        if (extra.isDisabled !== undefined) button.isDisabled = extra.isDisabled;
+        if (extra.clickCooldown !== undefined) button.clickCooldown = extra.clickCooldown;
+        if (extra.cursor) button.cursor = extra.cursor;
+        if (extra.onClick) button.onClick = getScript(extra.onClick, `button "${button.id}"`);
+    }
+});
+
+// ========== SAVE GAMES ==========
+const SAVE_SCHEMA = "malc.save";
+const SAVE_KEY_PREFIX = "malc.save.";
+
+// Scenes MALC creates itself; they aren't saved unless asked for
+const BUILT_IN_SCENES = ["blank", "loading"];
+
+// In-memory stand-in for localStorage, used when running headless
+function createMemoryStorage() {
+    let items = new Map();
+    return {
+        get length() { return items.size; },
+        key(index) { return index < items.size ? [...items.keys()][index] : null; },
+        getItem(key) { return items.has(key) ? items.get(key) : null; },
+        setItem(key, value) { items.set(key, String(value)); },
+        removeItem(key) { items.delete(key); },
+        clear() { items.clear(); }
+    };
+}
+
+function getLocalStorage() {
+    try {
+        return typeof localStorage != "undefined" ? localStorage : null;
+    } catch (e) {
+        // Browsers with storage turned off throw on access
+        return null;
+    }
+}
+
+// Small image of the canvas as a data URL, or null when there is no canvas
+function captureThumbnail(width) {
+    let canvas = _p && _p.canvas;
+    if (!canvas || typeof canvas.toDataURL != "function") return null;
+    try {
+        if (typeof document == "undefined" || !width || canvas.width <= width) {
+            return canvas.toDataURL("image/jpeg", 0.7);
+        }
+        let small = document.createElement("canvas");
+        small.width = width;
+        small.height = Math.round(canvas.height * width / canvas.width);
+        small.getContext("2d").drawImage(canvas, 0, 0, small.width, small.height);
+        return small.toDataURL("image/jpeg", 0.7);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Save slots for one world, as MALC.saves. Each slot holds the active scene,
+// scene history, every saved scene's toJSON() and your own data
+class SaveManager {
+    constructor() {
+        this.storage = null; // localStorage-like {getItem, setItem, removeItem, key, length}
+        this.prefix = SAVE_KEY_PREFIX;
+        this.version = 1; // your save format version, see addMigration
+        this.migrations = {};
+        this.scenes = null; // ids of the scenes to save, null for all but the built-in ones
+        this.thumbnailWidth = 160; // 0 turns thumbnails off
+        this.autosaveSlot = null;
+        this.autosaveData = null;
+    }
+    
+    // localStorage by default, memory when running headless or without storage
+    getStorage() {
+        if (!this.storage) {
+            this.storage = (!engine.headless && getLocalStorage()) || createMemoryStorage();
+        }
+        return this.storage;
+    }
+    
+    setStorage(storage) {
+        if (storage && (typeof storage.getItem != "function" || typeof storage.setItem != "function")) {
+            console.error("Save storage needs getItem and setItem");
+            return this;
+        }
+        this.storage = storage || null;
+        return this;
     }
     
-    drawText(str, x, y, hAlign = LEFT, vAlign = TOP) {
-        _p5.prototype.push();
-        
-        if (str.startsWith("[title]")) {
-            _p5.prototype.textSize(this.formatting.txt.title);
-            str = str.replace("[title]", "");
-        } else if (str.startsWith("[heading]")) {
-            _p5.prototype.textSize(this.formatting.txt.heading);
-            str = str.replace("[heading]", "");
-        } else if (str.startsWith("[subtitle]")) {
-            _p5.prototype.textSize(this.formatting.txt.subtitle);
-            str = str.replace("[subtitle]", "");
-        } else {
-            _p5.prototype.textSize(this.formatting.txt.base);
+    // Run fn on saves written at version fromVersion to bring them to fromVersion + 1
+    addMigration(fromVersion, fn) {
+        if (typeof fn != "function") {
+            console.error("Save migrations must be functions");
+            return this;
         }
-        
-        _p5.prototype.fill(this.formatting.txt.color);
-        _p5.prototype.textAlign(hAlign, vAlign);
-        _p5.prototype.text(str, x, y);
-        
-        _p5.prototype.pop();
+        this.migrations[fromVersion] = fn;
+        return this;
     }
     
-    drawButton(button, x, y) {
-        _p5.prototype.push();
+    save(slot = "default", data = {}, options = {}) {
+        let sceneIds = options.scenes || this.scenes ||
+            MALCScene.map(scene => scene.id).filter(id => !BUILT_IN_SCENES.includes(id));
+        
+        let record = {
+            schema: SAVE_SCHEMA,
+            version: this.version,
+            slot: slot,
+            timestamp: Date.now(),
+            thumbnail: options.thumbnail !== undefined ? options.thumbnail : captureThumbnail(this.thumbnailWidth),
+            activeScene: Scene.activeScene,
+            sceneHistory: [...Scene.sceneHistory],
+            scenes: sceneIds.map(id => Scene.getSceneById(id)).filter(scene => scene).map(scene => scene.toJSON()),
+            data: copyData(data)
+        };
         
-        if (this.formatting.objectScale !== 1) {
-            _p5.prototype.scale(this.formatting.objectScale);
+        try {
+            this.getStorage().setItem(this.prefix + slot, JSON.stringify(record));
+        } catch (e) {
+            console.error(`Could not save slot "${slot}": ${e.message}`);
+            return null;
         }
+        engine.emit("save", slot, record);
+        return record;
+    }
+    
+    // Migrated save record for a slot, or null when the slot is empty or unreadable
+    read(slot = "default") {
+        let json = this.getStorage().getItem(this.prefix + slot);
+        if (json == null) return null;
         
-        if (button && typeof button.render == "function") {
-            button.render();
+        let record;
+        try {
+            record = JSON.parse(json);
+        } catch (e) {
+            console.error(`Save slot "${slot}" is corrupt: ${e.message}`);
+            return null;
+        }
+        if (!record || record.schema != SAVE_SCHEMA) {
+            console.error(`Save slot "${slot}" is not a MALC save`);
+            return null;
         }
         
-        _p5.prototype.pop();
-    }
-    
-    belongsToScene(sceneId) {
-        return this.scenes.includes(sceneId) || this.scenes.includes("blank");
-    }
-    
-    addToScene(sceneId) {
-        if (!this.scenes.includes(sceneId)) {
-            this.scenes.push(sceneId);
+        let version = record.version || 1;
+        if (version > this.version) {
+            console.error(`Save slot "${slot}" is version ${version}, newer than this game's version ${this.version}`);
+            return null;
         }
-        return this;
-    }
-    
-    removeFromScene(sceneId) {
-        this.scenes = this.scenes.filter(id => id != sceneId);
-        return this;
+        while (version < this.version) {
+            if (this.migrations[version]) record = this.migrations[version](record) || record;
+            version++;
+            record.version = version;
+        }
+        return record;
     }
     
-    addToScenes(sceneIds) {
-        sceneIds.forEach(id => this.addToScene(id));
-        return this;
+    // Restore a slot's scenes and scene history; returns the data given to save()
+    load(slot = "default") {
+        let record = this.read(slot);
+        if (!record) return null;
+        
+        (record.scenes || []).forEach(data => Scene.fromJSON(data, { replace: true }));
+        Scene.sceneHistory = [...(record.sceneHistory || [])];
+        if (Scene.getSceneById(record.activeScene)) {
+            Scene.activeScene = record.activeScene;
+        } else {
+            console.warn(`Saved scene "${record.activeScene}" no longer exists`);
+        }
+        
+        engine.emit("load", slot, record.data);
+        return record.data;
     }
     
-    removeFromAllScenes() {
-        this.scenes = [];
-        return this;
+    has(slot = "default") {
+        return this.getStorage().getItem(this.prefix + slot) != null;
     }
     
-    resetFormatting() {
-        this.formatting = JSON.parse(JSON.stringify(this._formatting));
+    delete(slot = "default") {
+        this.getStorage().removeItem(this.prefix + slot);
         return this;
     }
     
-    setTextStyle(property, value) {
-        if (this.formatting.txt.hasOwnProperty(property)) {
-            this.formatting.txt[property] = value;
+    // {slot, timestamp, thumbnail, activeScene} for every slot, newest first
+    list() {
+        let storage = this.getStorage();
+        let slots = [];
+        for (let i = 0; i < storage.length; i++) {
+            let key = storage.key(i);
+            if (!key || !key.startsWith(this.prefix)) continue;
+            try {
+                let record = JSON.parse(storage.getItem(key));
+                slots.push({
+                    slot: key.slice(this.prefix.length),
+                    timestamp: record.timestamp,
+                    thumbnail: record.thumbnail,
+                    activeScene: record.activeScene,
+                    version: record.version
+                });
+            } catch (e) {
+                // Not one of ours
+            }
         }
-        return this;
-    }
-    
-    setOrientation(mode, offsetX = 0, offsetY = 0) {
-        this.formatting.orientation = [mode, offsetX, offsetY];
-        return this;
+        return slots.sort((a, b) => b.timestamp - a.timestamp);
     }
     
-    setScale(scale) {
-        this.formatting.objectScale = scale;
+    // Save to slot whenever the active scene changes. data is an object or a
+    // function returning one; pass false to turn autosave off
+    setAutosave(slot = "autosave", data = null) {
+        this.autosaveSlot = slot === false ? null : slot;
+        this.autosaveData = data;
         return this;
     }
     
-    destroy() {
-        this.removeFromAllScenes();
-        let index = UIPlanes.indexOf(this);
-        if (index > -1) {
-            UIPlanes.splice(index, 1);
-        }
-    }
-    
-    clone() {
-        let clone = new UIPlane(
-            this.executable,
-            [...this.scenes],
-            ...this.scenes
-        );
-        clone.formatting = JSON.parse(JSON.stringify(this.formatting));
-        return clone;
+    // Called by Scene.update when the active scene changes
+    handleSwitch(previous, next) {
+        if (!this.autosaveSlot || !previous) return;
+        let data = typeof this.autosaveData == "function" ? this.autosaveData(previous, next) : this.autosaveData;
+        this.save(this.autosaveSlot, data || {});
     }
 }
 
@@ -1778,7 +5049,7 @@ class Camera extends ModeAware {
         this.x = canvasX/2;
         this.y = canvasY/2;
         this.z = 0; // For 3D
-        this.position = [CENTER, CENTER];
+        this.position = [_p.CENTER, _p.CENTER];
         this.width = canvasX;
         this.height = canvasY;
         this.offsetX = 0;
@@ -1791,15 +5062,15 @@ class Camera extends ModeAware {
         let topLeftX = this.x;
         let topLeftY = this.y;
         
-        if (this.position[0] == CENTER) {
+        if (this.position[0] == _p.CENTER) {
             topLeftX = this.x - this.width / 2;
-        } else if (this.position[0] == RIGHT) {
+        } else if (this.position[0] == _p.RIGHT) {
             topLeftX = this.x - this.width;
         }
         
-        if (this.position[1] == CENTER) {
+        if (this.position[1] == _p.CENTER) {
             topLeftY = this.y - this.height / 2;
-        } else if (this.position[1] == BOTTOM) {
+        } else if (this.position[1] == _p.BOTTOM) {
             topLeftY = this.y - this.height;
         }
         
@@ -1827,19 +5098,19 @@ class Camera extends ModeAware {
         let objY = this.targetObject.y;
         let objZ = this.targetObject.z || 0;
         
-        if (this.position[0] == LEFT) {
+        if (this.position[0] == _p.LEFT) {
             this.x = objX - this.offsetX - this.width/2;
-        } else if (this.position[0] == CENTER) {
+        } else if (this.position[0] == _p.CENTER) {
             this.x = objX - this.offsetX;
-        } else if (this.position[0] == RIGHT) {
+        } else if (this.position[0] == _p.RIGHT) {
             this.x = objX - this.offsetX + this.width/2;
         }
         
-        if (this.position[1] == TOP) {
+        if (this.position[1] == _p.TOP) {
             this.y = objY - this.offsetY - this.height/2;
-        } else if (this.position[1] == CENTER) {
+        } else if (this.position[1] == _p.CENTER) {
             this.y = objY - this.offsetY;
-        } else if (this.position[1] == BOTTOM) {
+        } else if (this.position[1] == _p.BOTTOM) {
             this.y = objY - this.offsetY + this.height/2;
         }
         
@@ -1863,7 +5134,7 @@ class Camera extends ModeAware {
         
         if (this.isMode2D()) {
             let [translateX, translateY] = this.getOrientation();
-            _p5.prototype.translate(-translateX, -translateY);
+            _p.translate(-translateX, -translateY);
         } else {
             // 3D camera rendering (placeholder)
             console.warn("3D camera rendering not yet implemented");
@@ -1906,6 +5177,391 @@ class Camera extends ModeAware {
     }
 }
 
+// Pass a window input event on to the running p5 sketch
+function forwardToP5(handler, e) {
+    if (hasWindow() && window.p5 && _p5 && _p5.instance && typeof _p5.instance[handler] == 'function') {
+        _p5.instance[handler](e);
+    }
+}
+
+// ========== EASING FUNCTIONS ==========
+// Each takes progress t in [0, 1] and returns the eased progress
+const Easing = {
+    linear: t => t,
+    
+    quadIn: t => t * t,
+    quadOut: t => t * (2 - t),
+    quadInOut: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    
+    cubicIn: t => t * t * t,
+    cubicOut: t => (--t) * t * t + 1,
+    cubicInOut: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+    
+    quartIn: t => t * t * t * t,
+    quartOut: t => 1 - (--t) * t * t * t,
+    quartInOut: t => t < 0.5 ? 8 * t * t * t * t : 1 - 8 * (--t) * t * t * t,
+    
+    sineIn: t => 1 - Math.cos(t * Math.PI / 2),
+    sineOut: t => Math.sin(t * Math.PI / 2),
+    sineInOut: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    
+    expoIn: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+    expoOut: t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+    expoInOut: t => {
+        if (t === 0 || t === 1) return t;
+        return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+    },
+    
+    circIn: t => 1 - Math.sqrt(1 - t * t),
+    circOut: t => Math.sqrt(1 - (t - 1) * (t - 1)),
+    circInOut: t => t < 0.5 ?
+        (1 - Math.sqrt(1 - 4 * t * t)) / 2 :
+        (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2,
+    
+    backIn: t => 2.70158 * t * t * t - 1.70158 * t * t,
+    backOut: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+    backInOut: t => {
+        const c = 1.70158 * 1.525;
+        return t < 0.5 ?
+            (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2 :
+            (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+    },
+    
+    elasticIn: t => {
+        if (t === 0 || t === 1) return t;
+        return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * (2 * Math.PI) / 3);
+    },
+    elasticOut: t => {
+        if (t === 0 || t === 1) return t;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
+    },
+    
+    bounceOut: t => {
+        if (t < 1 / 2.75) return 7.5625 * t * t;
+        if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+        if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    },
+    bounceIn: t => 1 - Easing.bounceOut(1 - t),
+    bounceInOut: t => t < 0.5 ?
+        (1 - Easing.bounceOut(1 - 2 * t)) / 2 :
+        (1 + Easing.bounceOut(2 * t - 1)) / 2
+};
+
+function resolveEasing(easing) {
+    if (typeof easing == "function") return easing;
+    if (typeof easing == "string" && Easing[easing]) return Easing[easing];
+    
+    if (easing !== undefined && easing !== null) {
+        console.warn(`Unknown easing "${easing}". Using linear.`);
+    }
+    return Easing.linear;
+}
+
+// ========== TWEEN CLASS ==========
+// Read and write nested properties by dotted path, e.g. "formatting.orientation.1"
+function getPath(target, path) {
+    return String(path).split(".").reduce((obj, key) => obj == null ? undefined : obj[key], target);
+}
+
+function setPath(target, path, value) {
+    let keys = String(path).split(".");
+    let last = keys.pop();
+    let obj = keys.reduce((o, key) => o == null ? undefined : o[key], target);
+    if (obj != null) obj[last] = value;
+}
+
+function interpolateValue(from, to, t) {
+    if (typeof from == "number" && typeof to == "number") {
+        return from + (to - from) * t;
+    }
+    if (Array.isArray(from) && Array.isArray(to) && from.length === to.length &&
+        from.every(v => typeof v == "number") && to.every(v => typeof v == "number")) {
+        return from.map((v, i) => v + (to[i] - v) * t);
+    }
+    // Anything else is treated as a color (names, hex strings, p5.Color)
+    return _p.lerpColor(_p.color(from), _p.color(to), t);
+}
+
+// The scene whose time drives a target and whose deactivation ends its tweens
+function findTargetScene(target) {
+    if (!target) return null;
+    if (target instanceof Scene) return target;
+    if (target.parentScene) return target.parentScene;
+    
+    // UI planes in "blank" are drawn with every scene, so their tweens follow no scene
+    if (target instanceof UIPlane && target.scenes.includes("blank")) return null;
+    if (Array.isArray(target.scenes)) {
+        let id = target.scenes.find(sceneId => sceneId != "blank") || target.scenes[0];
+        return Scene.getSceneById(id);
+    }
+    return null;
+}
+
+// Remove a tween or group from the running list, e.g. when a group takes it over
+function detachTween(runner) {
+    let index = MALCTweens.indexOf(runner);
+    if (index > -1) MALCTweens.splice(index, 1);
+}
+
+class Tween {
+    // Advance every running tween and group by dt simulation seconds
+    static update(dt) {
+        [...MALCTweens].forEach(runner => runner.step(dt));
+        
+        for (let i = MALCTweens.length - 1; i >= 0; i--) {
+            if (MALCTweens[i].isDone()) MALCTweens.splice(i, 1);
+        }
+    }
+    
+    // Cancel every tween animating target
+    static killTweensOf(target) {
+        [...MALCTweens].forEach(runner => {
+            if (runner.target === target) runner.cancel();
+            if (runner.tweens) runner.tweens.forEach(t => {
+                if (t.target === target) t.cancel();
+            });
+        });
+    }
+    
+    constructor(target, props = {}, duration = 1000, easing = "linear", options = {}) {
+        this.id = generateId('tween');
+        this.target = target;
+        this.props = props;
+        this.duration = Math.max(0, Number(duration) || 0);
+        this.easing = resolveEasing(easing);
+        this.delay = options.delay || 0;
+        this.repeat = options.repeat || 0; // -1 repeats forever
+        this.yoyo = !!options.yoyo;
+        this.scene = options.scene || findTargetScene(target);
+        this.onUpdate = options.onUpdate || null;
+        this.onComplete = options.onComplete || null;
+        
+        this.state = "idle"; // idle, running, paused, finished, cancelled
+        this.elapsed = 0;
+        this.iteration = 0;
+        this.reversed = false;
+        this.from = null;
+        this.to = null;
+        this.sceneStarted = false;
+        this.owner = null;
+        this.next = [];
+        
+        this.finished = new Promise(resolve => {
+            this._resolve = resolve;
+        });
+    }
+    
+    start() {
+        if (this.state === "idle") this.state = "running";
+        if (!this.owner && !MALCTweens.includes(this)) MALCTweens.push(this);
+        return this;
+    }
+    
+    // Start tween after this one completes. Returns tween so chains read left to right
+    chain(tween) {
+        if (!(tween instanceof Tween || tween instanceof TweenGroup)) {
+            console.error("Tween.chain expects a Tween or tween group");
+            return tween;
+        }
+        detachTween(tween);
+        tween.state = "idle";
+        this.next.push(tween);
+        return tween;
+    }
+    
+    pause() {
+        if (this.state === "running") this.state = "paused";
+        return this;
+    }
+    
+    resume() {
+        if (this.state === "paused") this.state = "running";
+        return this;
+    }
+    
+    cancel() {
+        if (this.isDone()) return this;
+        this.state = "cancelled";
+        this._resolve(this.target);
+        return this;
+    }
+    
+    isDone() {
+        return this.state === "finished" || this.state === "cancelled";
+    }
+    
+    // Promise-style completion: await tween, or tween.then(...)
+    then(onFulfilled, onRejected) {
+        return this.finished.then(onFulfilled, onRejected);
+    }
+    
+    // Targets that are destroyed, or whose scene stops being active, end the tween
+    shouldCleanUp() {
+        if (this.target && this.target.destroyed) return true;
+        return this.sceneStarted && this.scene && !this.scene.active;
+    }
+    
+    captureValues() {
+        this.from = {};
+        this.to = {};
+        
+        Object.keys(this.props).forEach(path => {
+            let start = getPath(this.target, path);
+            let end = this.props[path];
+            
+            // "+=10" and "-=10" are relative to the starting value
+            if (typeof end == "string" && /^[+-]=/.test(end) && typeof start == "number") {
+                end = start + Number(end.replace("=", ""));
+            }
+            
+            this.from[path] = Array.isArray(start) ? [...start] : start;
+            this.to[path] = end;
+        });
+    }
+    
+    applyProgress(progress) {
+        let eased = this.easing(progress);
+        Object.keys(this.to).forEach(path => {
+            setPath(this.target, path, interpolateValue(this.from[path], this.to[path], eased));
+        });
+        
+        if (typeof this.onUpdate == "function") this.onUpdate(this.target, progress);
+    }
+    
+    step(dt) {
+        if (this.state !== "running") return;
+        
+        if (this.shouldCleanUp()) {
+            this.cancel();
+            return;
+        }
+        
+        // Wait for the scene to become active before any time passes
+        if (this.scene && !this.scene.active) return;
+        this.sceneStarted = true;
+        
+        this.elapsed += dt * 1000 * (this.scene ? this.scene.getTimeScale() : 1);
+        if (this.elapsed < this.delay) return;
+        
+        if (!this.from) this.captureValues();
+        
+        let t = this.duration === 0 ? 1 : Math.min(1, (this.elapsed - this.delay) / this.duration);
+        this.applyProgress(this.reversed ? 1 - t : t);
+        
+        if (t < 1) return;
+        
+        if (this.repeat === -1 || this.iteration < this.repeat) {
+            this.iteration++;
+            this.elapsed = this.delay + Math.max(0, this.elapsed - this.delay - this.duration);
+            if (this.yoyo) this.reversed = !this.reversed;
+            return;
+        }
+        
+        this.complete();
+    }
+    
+    complete() {
+        this.state = "finished";
+        if (typeof this.onComplete == "function") this.onComplete(this.target);
+        this._resolve(this.target);
+        this.next.forEach(tween => tween.start());
+    }
+}
+
+// ========== TWEEN GROUP CLASS ==========
+// Runs tweens one after another ("sequence") or all at once ("parallel")
+class TweenGroup {
+    constructor(mode, tweens = []) {
+        this.id = generateId('tweenGroup');
+        this.mode = mode === "parallel" ? "parallel" : "sequence";
+        this.tweens = tweens.filter(t => t instanceof Tween || t instanceof TweenGroup);
+        this.index = 0;
+        this.state = "idle";
+        this.next = [];
+        
+        this.tweens.forEach(tween => {
+            detachTween(tween);
+            tween.owner = this;
+            tween.state = "idle";
+        });
+        
+        this.finished = new Promise(resolve => {
+            this._resolve = resolve;
+        });
+    }
+    
+    start() {
+        if (this.state !== "idle") return this;
+        this.state = "running";
+        if (!this.owner && !MALCTweens.includes(this)) MALCTweens.push(this);
+        
+        if (this.mode === "parallel") {
+            this.tweens.forEach(tween => tween.start());
+        } else if (this.tweens.length > 0) {
+            this.tweens[0].start();
+        }
+        return this;
+    }
+    
+    step(dt) {
+        if (this.state !== "running") return;
+        
+        if (this.mode === "parallel") {
+            this.tweens.forEach(tween => tween.step(dt));
+            if (this.tweens.every(tween => tween.isDone())) this.complete();
+            return;
+        }
+        
+        let current = this.tweens[this.index];
+        if (current) current.step(dt);
+        
+        while (current && current.isDone()) {
+            this.index++;
+            current = this.tweens[this.index];
+            if (current) current.start();
+        }
+        
+        if (!current) this.complete();
+    }
+    
+    chain(tween) {
+        return Tween.prototype.chain.call(this, tween);
+    }
+    
+    pause() {
+        if (this.state === "running") this.state = "paused";
+        return this;
+    }
+    
+    resume() {
+        if (this.state === "paused") this.state = "running";
+        return this;
+    }
+    
+    cancel() {
+        if (this.isDone()) return this;
+        this.tweens.forEach(tween => tween.cancel());
+        this.state = "cancelled";
+        this._resolve(this.tweens.map(t => t.target));
+        return this;
+    }
+    
+    isDone() {
+        return this.state === "finished" || this.state === "cancelled";
+    }
+    
+    then(onFulfilled, onRejected) {
+        return this.finished.then(onFulfilled, onRejected);
+    }
+    
+    complete() {
+        this.state = "finished";
+        this._resolve(this.tweens.map(t => t.target));
+        this.next.forEach(tween => tween.start());
+    }
+}
+
 // ========== MOUSE HANDLER ==========
 class MouseHandler {
     constructor() {
@@ -1933,19 +5589,31 @@ class MouseHandler {
             2: 'right'
         };
         
-        this.setupEventListeners();
+        this.listening = false;
     }
     
+    // Attach to the browser window. Not called when running headless
     setupEventListeners() {
-        window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        window.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-        window.addEventListener('click', (e) => this.handleClick(e));
-        window.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
-        window.addEventListener('contextmenu', (e) => e.preventDefault());
-        window.addEventListener('wheel', (e) => this.handleWheel(e));
-        window.addEventListener('mouseenter', (e) => this.handleMouseEnter(e));
-        window.addEventListener('mouseleave', (e) => this.handleMouseLeave(e));
+        if (this.listening || !hasWindow()) return;
+        this.listening = true;
+        
+        this.listeners = addWindowListeners({
+            mousemove: (e) => this.handleMouseMove(e),
+            mousedown: (e) => this.handleMouseDown(e),
+            mouseup: (e) => this.handleMouseUp(e),
+            click: (e) => this.handleClick(e),
+            dblclick: (e) => this.handleDoubleClick(e),
+            contextmenu: (e) => e.preventDefault(),
+            wheel: (e) => this.handleWheel(e),
+            mouseenter: (e) => this.handleMouseEnter(e),
+            mouseleave: (e) => this.handleMouseLeave(e)
+        });
+    }
+    
+    removeEventListeners() {
+        removeWindowListeners(this.listeners);
+        this.listeners = null;
+        this.listening = false;
     }
     
     handleMouseMove(e) {
@@ -1960,9 +5628,7 @@ class MouseHandler {
             };
         }
         
-        if (window.p5 && p5.instance) {
-            p5.instance._onmousemove(e);
-        }
+        forwardToP5('_onmousemove', e);
     }
     
     handleMouseDown(e) {
@@ -1976,9 +5642,7 @@ class MouseHandler {
         };
         this.mouse.dragDelta = { dx: 0, dy: 0 };
         
-        if (window.p5 && p5.instance) {
-            p5.instance._onmousedown(e);
-        }
+        forwardToP5('_onmousedown', e);
     }
     
     handleMouseUp(e) {
@@ -1989,9 +5653,7 @@ class MouseHandler {
             this.mouse.dragStart.active = false;
         }
         
-        if (window.p5 && p5.instance) {
-            p5.instance._onmouseup(e);
-        }
+        forwardToP5('_onmouseup', e);
     }
     
     handleClick(e) {
@@ -2009,17 +5671,13 @@ class MouseHandler {
             this.mouse.doubleClicked = false;
         }, 100);
         
-        if (window.p5 && p5.instance) {
-            p5.instance._onclick(e);
-        }
+        forwardToP5('_onclick', e);
     }
     
     handleDoubleClick(e) {
         this.mouse.doubleClicked = true;
         
-        if (window.p5 && p5.instance) {
-            p5.instance._ondblclick(e);
-        }
+        forwardToP5('_ondblclick', e);
     }
     
     handleWheel(e) {
@@ -2029,9 +5687,7 @@ class MouseHandler {
             deltaZ: e.deltaZ
         };
         
-        if (window.p5 && p5.instance) {
-            p5.instance._onwheel(e);
-        }
+        forwardToP5('_onwheel', e);
     }
     
     handleMouseEnter(e) {
@@ -2156,6 +5812,23 @@ class MouseHandler {
         return buttonMap[buttonName.toLowerCase()] ?? -1;
     }
     
+    // Simulated input, for headless runs and tests
+    moveTo(x, y) {
+        this.handleMouseMove({ clientX: x, clientY: y });
+        return this;
+    }
+    
+    press(button = 0) {
+        this.handleMouseDown({ button: button });
+        return this;
+    }
+    
+    release(button = 0) {
+        this.handleMouseUp({ button: button });
+        this.handleClick({ button: button });
+        return this;
+    }
+    
     reset() {
         this.mouse.pressed = false;
         this.mouse.button = null;
@@ -2195,6 +5868,8 @@ class KeyboardHandler {
             'delete', 'home', 'end', 'pageup', 'pagedown', 'insert', 'f1', 'f2', 
             'f3', 'f4', 'f5', 'f6', 'f7', 'f8', 'f9', 'f10', 'f11', 'f12'
         ];
+        
+        this.listening = false;
     }
     
     keyPressed(){
@@ -2300,110 +5975,155 @@ class KeyboardHandler {
     getTypedBuffer() {
         return this.typedBuffer;
     }
-}
-
-// ========== KEYBOARD EVENT LISTENERS ==========
-const keyboard = new KeyboardHandler();
-
-window.addEventListener('keydown', (e) => {
-    const key = e.key;
-    const lowerKey = key.toLowerCase();
-    
-    let ck = keyboard.keys[lowerKey];
-    let keyObject;
-    
-    if(ck != undefined){
-        if(!ck.pressed) ck.timeStamp.pressed = new Date().getTime();
-        ck.pressed = true;
-        ck.modifiers = {
-            shift: e.shiftKey,
-            ctrl: e.ctrlKey,
-            alt: e.altKey,
-            meta: e.metaKey,
-        };
-        keyObject = ck;
-    } else {
-        keyObject = {
-            key: lowerKey,
-            originalKey: key,
-            modifiers:{
-                shift: e.shiftKey,
-                ctrl: e.ctrlKey,
-                alt: e.altKey,
-                meta: e.metaKey,
-            },
-            held: e.repeat,
-            pressed: true,
-            timeStamp:{
-                pressed: new Date().getTime(),
-                released: -1,
-            },
-        };
-    }
-    
-    keyboard.keys[lowerKey] = keyObject;
     
-    if (!e.ctrlKey && !e.altKey && !e.metaKey && key.length === 1) {
-        keyboard.typed(key, false);
-    } else {
-        if (lowerKey === 'backspace') {
-            keyboard.backspace();
-        } else if (lowerKey === 'enter') {
-            keyboard.enter();
-        }
+    // Attach to the browser window, or to one element (a sketch's canvas) so only
+    // key presses while it has focus count. Not called when running headless
+    setupEventListeners(target = null) {
+        if (this.listening || !hasWindow()) return;
+        this.listening = true;
+        this.target = target || window;
+        
+        this.listeners = addWindowListeners({
+            keydown: (e) => this.handleKeyDown(e),
+            keyup: (e) => this.handleKeyUp(e),
+            blur: (e) => this.handleBlur(e)
+        }, this.target);
+    }
+    
+    removeEventListeners() {
+        removeWindowListeners(this.listeners, this.target);
+        this.listeners = null;
+        this.target = null;
+        this.listening = false;
     }
-});
-
-window.addEventListener('keyup', (e) => {
-    const lowerKey = e.key.toLowerCase();
     
-    let ck = keyboard.keys[lowerKey];
-    let keyObject;
+    // Forget every key and any typed text
+    reset() {
+        this.keys = {};
+        this.keyTyped = "";
+        this.typedBuffer = "";
+    }
     
-    if(ck != undefined){
-        if(ck.pressed) ck.timeStamp.released = new Date().getTime();
-        ck.pressed = false;
-        ck.modifiers = {
-            shift: false,
-            ctrl: false,
-            alt: false,
-            meta: false,
-        };
-        keyObject = ck;
-    } else {
-        keyObject = {
-            key: lowerKey,
-            modifiers:{
+    handleKeyDown(e) {
+        const key = e.key;
+        const lowerKey = key.toLowerCase();
+        
+        let ck = this.keys[lowerKey];
+        let keyObject;
+        
+        if(ck != undefined){
+            if(!ck.pressed) ck.timeStamp.pressed = new Date().getTime();
+            ck.pressed = true;
+            ck.modifiers = {
                 shift: e.shiftKey,
                 ctrl: e.ctrlKey,
                 alt: e.altKey,
                 meta: e.metaKey,
-            },
-            held: e.repeat,
-            pressed: false,
-            timeStamp:{
-                pressed: -1,
-                released: new Date().getTime(),
-            },
-        };
+            };
+            keyObject = ck;
+        } else {
+            keyObject = {
+                key: lowerKey,
+                originalKey: key,
+                modifiers:{
+                    shift: e.shiftKey,
+                    ctrl: e.ctrlKey,
+                    alt: e.altKey,
+                    meta: e.metaKey,
+                },
+                held: e.repeat,
+                pressed: true,
+                timeStamp:{
+                    pressed: new Date().getTime(),
+                    released: -1,
+                },
+            };
+        }
+        
+        this.keys[lowerKey] = keyObject;
+        
+        if (!e.ctrlKey && !e.altKey && !e.metaKey && key.length === 1) {
+            this.typed(key, false);
+        } else {
+            if (lowerKey === 'backspace') {
+                this.backspace();
+            } else if (lowerKey === 'enter') {
+                this.enter();
+            }
+        }
+    }
+        
+    handleKeyUp(e) {
+        const lowerKey = e.key.toLowerCase();
+        
+        let ck = this.keys[lowerKey];
+        let keyObject;
+        
+        if(ck != undefined){
+            if(ck.pressed) ck.timeStamp.released = new Date().getTime();
+            ck.pressed = false;
+            ck.modifiers = {
+                shift: false,
+                ctrl: false,
+                alt: false,
+                meta: false,
+            };
+            keyObject = ck;
+        } else {
+            keyObject = {
+                key: lowerKey,
+                modifiers:{
+                    shift: e.shiftKey,
+                    ctrl: e.ctrlKey,
+                    alt: e.altKey,
+                    meta: e.metaKey,
+                },
+                held: e.repeat,
+                pressed: false,
+                timeStamp:{
+                    pressed: -1,
+                    released: new Date().getTime(),
+                },
+            };
+        }
+        
+        this.keys[lowerKey] = keyObject;
+    }
+        
+    handleBlur(e) {
+        for(let K in this.keys){
+            let k = this.keys[K];
+            k.pressed = false;
+            k.timeStamp.released = new Date().getTime();
+            k.modifiers = {
+                shift: false,
+                ctrl: false,
+                alt: false,
+                meta: false,
+            };
+        }
+    }
+        
+    // Simulated input, for headless runs and tests
+    press(key, modifiers = {}) {
+        this.handleKeyDown({
+            key: key,
+            shiftKey: !!modifiers.shift,
+            ctrlKey: !!modifiers.ctrl,
+            altKey: !!modifiers.alt,
+            metaKey: !!modifiers.meta,
+            repeat: false
+        });
+        return this;
     }
     
-    keyboard.keys[lowerKey] = keyObject;
-});
-
-window.addEventListener('blur', (e) => {
-    for(let K in keyboard.keys){
-        let k = keyboard.keys[K];
-        k.pressed = false;
-        k.timeStamp.released = new Date().getTime();
-        k.modifiers = {
-            shift: false,
-            ctrl: false,
-            alt: false,
-            meta: false,
-        };
+    release(key) {
+        this.handleKeyUp({ key: key, shiftKey: false, ctrlKey: false, altKey: false, metaKey: false, repeat: false });
+        return this;
     }
-});
+}
+
+const keyboard = new KeyboardHandler();
 
 // ========== CONTROLLER HANDLER ==========
 class GameController {
@@ -2434,23 +6154,35 @@ class GameController {
           home: null,
       };
         
-        this.setupListeners();
+        this.listening = false;
     }
 
+    // Attach to the browser window. Not called when running headless
     setupListeners() {
-        window.addEventListener("gamepadconnected", (e) => {
-            console.log("Controller connected:", e.gamepad);
-            this.updateController(e.gamepad);
+        if (this.listening || !hasWindow()) return;
+        this.listening = true;
+        
+        this.listeners = addWindowListeners({
+            gamepadconnected: (e) => {
+                console.log("Controller connected:", e.gamepad);
+                this.updateController(e.gamepad);
+            },
+            gamepaddisconnected: (e) => {
+                console.log("Controller disconnected");
+                this.connected = false;
+            }
         });
+    }
 
-        window.addEventListener("gamepaddisconnected", (e) => {
-            console.log("Controller disconnected");
-            this.connected = false;
-        });
+    removeListeners() {
+        removeWindowListeners(this.listeners);
+        this.listeners = null;
+        this.listening = false;
     }
 
     update() {
-        const gamepads = navigator.getGamepads();
+        const gamepads = (typeof navigator !== 'undefined' && typeof navigator.getGamepads == 'function') ?
+            navigator.getGamepads() : [];
         if (gamepads[this.index]) {
             this.updateController(gamepads[this.index]);
         }
@@ -2538,9 +6270,13 @@ const controller = new GameController();
 // ========== FPS TRACKER ==========
 const fpsTimes = [];
 let fps;
+let fpsFrameId = null;
+const fpsWorlds = new Set(); // worlds that asked for FPS tracking
 
 function refreshLoop() {
-    window.requestAnimationFrame(() => {
+    if (typeof window === 'undefined' || typeof window.requestAnimationFrame != 'function') return;
+    
+    fpsFrameId = window.requestAnimationFrame(() => {
         const now = performance.now();
         while (fpsTimes.length > 0 && fpsTimes[0] <= now - 1000) {
             fpsTimes.shift();
@@ -2551,6 +6287,23 @@ function refreshLoop() {
     });
 }
 
+// One shared loop runs while any world is tracking FPS
+function startFPSTracking(world) {
+    fpsWorlds.add(world);
+    if (fpsFrameId === null) refreshLoop();
+}
+
+function stopFPSTracking(world) {
+    fpsWorlds.delete(world);
+    if (fpsWorlds.size > 0 || fpsFrameId === null) return;
+    
+    if (typeof window !== 'undefined' && typeof window.cancelAnimationFrame == 'function') {
+        window.cancelAnimationFrame(fpsFrameId);
+    }
+    fpsFrameId = null;
+    fpsTimes.length = 0;
+}
+
 // ========== FPS ACCESSOR ==========
 function getFPS() {
     return fps;
@@ -2573,14 +6326,34 @@ const helpDocs = {
         - Mouse, Keyboard, and Gamepad input handlers
         - Colored text rendering
         - FPS tracking
+        - Fixed-timestep simulation loop
+        - Tweening with easing curves, sequences and parallel groups
+        - Event bus plus object and scene lifecycle events
+        - Generator coroutines on objects and scenes
+        - Components with lifecycle hooks and serialization
+        - Parent/child transform hierarchy
+        - Render layers with z-ordering and y-sorting
+        - Sprites and sprite sheets with tint, flipping and anchors
+        - Sprite animation clips with a transition state machine
+        - Circle, ellipse, polygon, line and capsule shapes with hit testing
+        - Collision contacts with normal and depth, and push-out resolution
+        - Rotated and compound hitboxes (separating axis test)
+        - Collision layers, masks and trigger volumes
+        - Spatial hash broadphase with rect, point and radius queries
+        - Wall, ceiling and one-way platform handling for gravity objects
+        - Prefabs with inheritance, loadable from JSON
+        - Scene save and load as versioned JSON
+        - Save slots with thumbnails, autosave and migrations
         - 2D/3D mode support (3D features coming soon)
+        - Headless mode for running game logic in Node
+        - p5 instance mode with one independent world per sketch
     `,
     
     // Classes
     classes: {
         gameObject: {
             description: "Base class for all game objects with position, velocity, and gravity properties",
-            constructor: "new gameObject(x, y, width, height, ...scenes)",
+            constructor: "new gameObject(x, y, width, height, ...scenes) - end with an options object to pick a shape: new gameObject(x, y, 40, 40, 'game', {shape: 'circle'})",
             properties: {
                 x: "X position of the object",
                 y: "Y position of the object",
@@ -2592,30 +6365,95 @@ const helpDocs = {
                 rotationX: "X-axis rotation (3D mode only)",
                 rotationY: "Y-axis rotation (3D mode only)",
                 rotationZ: "Z-axis rotation (3D mode only)",
+                scale: "Size multiplier for width and height (default 1)",
+                shape: "Shape drawn and hit-tested: {type: 'rect' | 'circle' | 'ellipse' | 'polygon' | 'line' | 'capsule'}",
+                layer: "Render layer: background, world (default), foreground, overlay or one added with scene.addLayer",
+                zIndex: "Draw order within the layer; higher draws in front (default 0)",
+                animator: "Sprite animation clips and transitions: animator.addClip('run', {frames: [4, 5, 6, 7], fps: 10}).play('run')",
+                sprite: "Image drawn instead of the rectangle (null draws formatting.color); set with setSprite",
+                parent: "Object this one is attached to with addChild (x, y, rotation and scale are then relative to it)",
+                children: "Objects attached to this one",
+                scripts: "Functions run with the object every simulation tick (scripts stage); draw from scene.onRender or a UIPlane",
                 velocity: "[speed, angle] for polar mode or [vx, vy] for cartesian",
                 velocity3D: "[vx, vy, vz] for 3D mode",
-                gravity: "Object containing gravity settings (enabled, velocity, grounded, etc.)",
+                gravity: "Object containing gravity settings and state (enabled, velocity, grounded, touchingWall, wallSide, touchingCeiling, dropTime, etc.)",
+                groundObject: "What the object is standing on (null in the air)",
+                wallObject: "What the object is pushing against sideways; gravity.wallSide is -1 for left, 1 for right",
+                ceilingObject: "What the object last hit while moving up",
                 active: "Whether the object is active",
                 visible: "Whether the object is visible",
-                debug: "Toggle debug visualization"
+                debug: "Toggle debug visualization",
+                collision: "Whether the object collides at all (collition still works as the old name)",
+                collisionLayer: "Collision layer name (default 'default'), see MALC.setLayerCollision",
+                collisionMask: "Layers this object collides with, or null for all of them",
+                trigger: "Report overlaps with triggerEnter, triggerStay and triggerExit events instead of blocking",
+                oneWay: "One-way platform: only stops objects coming down onto it from above",
+                hitbox: "Collision area centred on the object: {x, y} shift it, {width, height} are added to the object's size and rotation turns it. parts: [{x, y, width, height, rotation, shape}] makes a compound collider",
+                timeActive: "Milliseconds this object has been simulated (follows pausing and time scale)"
             },
             methods: {
                 enableGravity: "Enable gravity for this object",
                 disableGravity: "Disable gravity for this object",
                 setGravity: "Configure gravity settings: {enabled, mass, bounce, friction, groundTolerance}",
+                setOneWay: "Make the object a platform that can be jumped up through: setOneWay(true)",
+                dropThrough: "Fall through the one-way platform underneath: dropThrough(ms), default 250",
+                canLandOn: "Whether this object can stand on another (false for one-way platforms it is below or dropping through)",
                 setVelocity: "Set velocity towards a point: setVelocity(speed, x, y, error)",
                 pointTo: "Rotate to face a target",
                 distanceTo: "Get distance to another object",
-                collidesWith: "Check collision with another object",
+                collidesWith: "Whether the hitboxes overlap (uses world transforms and shapes)",
+                getContact: "How the hitboxes overlap: {other, normal: [x, y], depth} with normal pointing towards other, or null",
+                resolveCollision: "Push the object out of another: resolveCollision(other, share). share 0.5 moves both halfway. Returns the contact",
+                getCollisionBounds: "World-space {left, right, top, bottom} around the hitbox",
+                getCollisionShapes: "World-space shape of each collider: the hitbox, or one per hitbox part",
+                renderHitbox: "Draw the outline of each collider (done automatically when debug is on)",
+                moveWorld: "Shift the object by a world-space offset",
+                setCollisionLayer: "Put the object on a collision layer: setCollisionLayer('pickups')",
+                setCollisionMask: "Only collide with these layers: setCollisionMask('world', 'enemies'). No layers collides with all",
+                setTrigger: "Make the object a trigger volume: obj.setTrigger().on('triggerEnter', other => ...)",
+                canCollideWith: "Whether the layer matrix and both masks let two objects collide",
+                isBlockedBy: "Whether another object stops this one (it can collide and neither is a trigger)",
+                setShape: "Change shape: setShape('circle'), setShape({type: 'polygon', sides: 6}) or setShape({type: 'polygon', points: [[0, -10], [10, 10], [-10, 10]]})",
+                containsPoint: "Whether a world point is inside the object's shape: containsPoint(x, y, tolerance)",
+                setSprite: "Draw an image, image path or SpriteSheet: setSprite(img, {frame, width, height, scale, anchor, flipX, flipY, tint}). The hitbox is unaffected",
+                clearSprite: "Go back to drawing the rectangle",
+                setFrame: "Show a sprite sheet frame by index, or a source rectangle [x, y, w, h]",
+                setTint: "Tint the sprite (null for none)",
+                flip: "Mirror the sprite: flip(flipX, flipY)",
+                setLayer: "Move the object to another render layer",
+                setZIndex: "Set the draw order within the layer",
+                addChild: "Attach a child that moves, renders and is destroyed with this object: addChild(child, keepWorldTransform)",
+                removeChild: "Detach a child, keeping it where it is in the world",
+                getWorldTransform: "World {x, y, rotation, scale} after applying all parents",
+                setPosition: "Move the object straight there: setPosition(x, y). With MALC.interpolate it is drawn there at once instead of sliding",
+                setWorldPosition: "Place the object at a world position, whatever its parent",
+                localToWorld: "Convert {x, y, rotation, scale} relative to this object into world space",
+                worldToLocal: "Convert a world point into coordinates relative to this object",
                 addToScene: "Add object to a scene",
                 removeFromScene: "Remove object from a scene",
-                destroy: "Remove object from game",
-                clone: "Create a copy of the object"
+                destroy: "Remove object from game. It stops at once and leaves the object lists at the end of the frame",
+                setId: "Change the object's id so MALC.getObjectById still finds it",
+                clone: "Create a copy of the object and its children",
+                getProperties: "The object's configuration as plain data (what clone() copies and prefabs set)",
+                applyProperties: "Set any part of getProperties(); nested objects like gravity are merged",
+                on: "Listen for an event: on('collide' | 'grounded' | 'destroyed' | 'enterScreen' | 'exitScreen' | 'triggerEnter' | 'triggerStay' | 'triggerExit', fn)",
+                once: "Listen for the next time an event fires only",
+                off: "Remove a listener: off(event, fn), off(event) or off()",
+                emit: "Fire an event on this object: emit(event, ...args)",
+                addComponent: "Attach a component: addComponent(Health, {max: 100}). Returns the component",
+                getComponent: "Get the first component of a class (or registered name)",
+                getComponents: "Get every component of a class",
+                removeComponent: "Remove a component instance or all components of a class",
+                serializeComponents: "Component data for saving: [{type, enabled, data}]. Fields holding objects are saved as {ref: id}",
+                loadComponents: "Add components from serializeComponents() output",
+                startCoroutine: "Run a generator function over several steps: startCoroutine(function* (obj) { yield MALC.wait(500); })",
+                stopCoroutines: "Stop all of the object's coroutines (destroy() does this too)"
             },
             staticMethods: {
                 setGlobalGravity: "Set global gravity strength",
                 getGlobalGravity: "Get current gravity value",
                 getActiveObjects: "Get all active objects",
+                getObjectById: "Find an object by id in constant time",
                 getObjectsInScene: "Get objects in a specific scene"
             }
         },
@@ -2634,7 +6472,8 @@ const helpDocs = {
                 setColors: "Set button colors for different states",
                 textStyle: "Set text color and size",
                 Disable: "Enable/disable the button",
-                click: "Simulate a button click"
+                click: "Simulate a button click",
+                on: "Listen for clicks alongside onClick: on('click', fn)"
             }
         },
         
@@ -2645,16 +6484,41 @@ const helpDocs = {
                 switchToScene: "Switch to a different scene",
                 getActiveScene: "Get the currently active scene",
                 getSceneById: "Find a scene by ID",
-                goBack: "Go back to previous scene"
+                goBack: "Go back to previous scene",
+                fromJSON: "Build a scene from toJSON() data or its JSON string: Scene.fromJSON(json, {id, replace})"
             },
             methods: {
                 addObject: "Add an object to the scene",
                 addObjects: "Add multiple objects to the scene",
+                getObjects: "Get the scene's objects, optionally filtered by a function, 'button', 'gameObject' or a component class",
                 removeObject: "Remove an object from the scene",
+                onUpdate: "Run a callback every simulation tick (scripts stage)",
+                onRender: "Run a draw callback every frame, after the background",
+                addScript: "Add a script run every simulation tick (scripts stage), paused with the scene",
+                addLayer: "Add a render layer: addLayer(name, index). Default layers: background, world, foreground, overlay",
+                setLayerVisible: "Show or hide every object on a layer: setLayerVisible('foreground', false)",
+                setYSort: "Draw a layer's objects lower on screen in front: setYSort('world')",
+                getRenderOrder: "Top-level objects in the order they will be drawn",
                 clearObjects: "Remove all objects",
-                pause: "Pause scene updates",
+                pause: "Pause the scene's scripts, objects and timers (it keeps drawing)",
                 resume: "Resume scene updates",
-                setTransition: "Set scene transition effect"
+                setTimeScale: "Scale how fast time passes in this scene (0.5 = slow motion)",
+                after: "Call a function once after ms of scene time: after(ms, fn). Returns a timer with cancel()",
+                every: "Call a function every ms of scene time: every(ms, fn). Returns a timer with cancel()",
+                clearTimers: "Cancel all of the scene's timers",
+                startCoroutine: "Run a generator function over several steps in scene time. Stopped by reset()",
+                stopCoroutines: "Stop all of the scene's coroutines",
+                setTransition: "Set scene transition effect",
+                onActivate: "Run a callback when the scene becomes active",
+                onDeactivate: "Run a callback when another scene takes over",
+                on: "Listen for scene events: on('activate' | 'deactivate' | 'switch', fn). switch passes (from, to)",
+                queryRect: "Objects whose hitbox overlaps a box centred on x, y: queryRect(x, y, width, height)",
+                queryPoint: "Objects whose hitbox contains a point: queryPoint(x, y)",
+                queryRadius: "Objects whose hitbox overlaps a circle: queryRadius(x, y, radius)",
+                setCellSize: "Cell size of the spatial hash used by queries and collisions (default 64)",
+                toJSON: "Versioned JSON-safe snapshot of the scene, its objects and UI planes. Scripts are saved by their MALC.registerScript name",
+                load: "Replace the scene's objects and UI planes with toJSON() data, keeping its callbacks and timers",
+                clone: "Copy the scene with its own copies of every object and UI plane: clone(newId)"
             }
         },
         
@@ -2675,6 +6539,125 @@ const helpDocs = {
             }
         },
         
+        Component: {
+            description: "Base class for reusable behaviour attached with obj.addComponent(Type, options). Options are copied onto the component",
+            constructor: "class Health extends MALC.Component { max = 100; start() { this.hp = this.max; } }",
+            properties: {
+                gameObject: "The object the component is attached to",
+                enabled: "Disabled components are not started, updated or rendered"
+            },
+            methods: {
+                start: "Called once before the first update",
+                update: "Called every simulation step with dt in seconds",
+                render: "Called every frame after the object is drawn",
+                onDestroy: "Called when a started component is removed or its object destroyed",
+                toJSON: "Serialize to {type, enabled, data}"
+            }
+        },
+        
+        SaveManager: {
+            description: "Save slots in localStorage (memory when headless), as MALC.saves",
+            properties: {
+                version: "Your save format version. Raise it and add a migration when the saved data changes",
+                scenes: "Ids of the scenes to save (default: every scene but blank and loading)",
+                thumbnailWidth: "Width of the canvas thumbnail stored with each save, 0 for none"
+            },
+            methods: {
+                save: "save(slot, data, {scenes, thumbnail}) - returns the stored record",
+                load: "Restore a slot and return its data, or null when the slot is empty",
+                read: "The stored record {slot, timestamp, thumbnail, activeScene, sceneHistory, scenes, data} without loading it",
+                list: "Every slot's {slot, timestamp, thumbnail, activeScene}, newest first",
+                has: "Whether a slot holds a save",
+                delete: "Empty a slot",
+                setStorage: "Use another storage with getItem, setItem, removeItem, key and length",
+                setAutosave: "Save on every scene switch: setAutosave('autosave', () => ({coins})). setAutosave(false) stops it",
+                addMigration: "Upgrade old saves: addMigration(1, record => { record.data.coins = record.data.gold; return record; })"
+            },
+            events: "MALC.on('save', (slot, record) => ...) and MALC.on('load', (slot, data) => ...)"
+        },
+        
+        SpriteSheet: {
+            description: "A grid of equally sized frames in one image, numbered left to right, top to bottom",
+            constructor: "new SpriteSheet(imageOrPath, frameWidth, frameHeight, {margin, spacing, columns, frames})",
+            properties: {
+                frameCount: "Number of frames in the sheet"
+            },
+            methods: {
+                getFrame: "Source rectangle {x, y, w, h} of a frame index"
+            }
+        },
+        
+        Animator: {
+            description: "Every gameObject has one as obj.animator. Plays sprite sheet frame clips on the object's sprite",
+            example: "obj.setSprite(sheet); obj.animator.addClip('idle', {frames: [0, 1], fps: 4}).addClip('jump', {frames: {from: 8, to: 11}, loop: false}).addTransition('*', 'jump', o => !o.gravity.grounded).addTransition('jump', 'idle', o => o.gravity.grounded).play('idle')",
+            properties: {
+                current: "Name of the clip being shown",
+                frame: "Position in the current clip's frame list",
+                speed: "Playback speed multiplier"
+            },
+            methods: {
+                addClip: "Define a clip: addClip(name, {frames, fps, loop, sheet, events, onComplete}). frames is a list or {from, to}",
+                play: "Play a clip: play(name, {restart, crossfade})",
+                crossfade: "Fade from the current frame into another clip: crossfade(name, ms)",
+                stop: "Stop on the clip's first frame",
+                pause: "Pause on the current frame",
+                resume: "Resume playing",
+                onFrame: "Call fn(obj, clipName) when a clip reaches a frame: onFrame('run', 2, playFootstep)",
+                addTransition: "Switch clips when a condition holds: addTransition(from or '*', to, obj => ..., {crossfade})"
+            },
+            events: {
+                animationEnd: "Emitted on the object when a non-looping clip finishes: obj.on('animationEnd', name => ...)"
+            }
+        },
+        
+        Prefab: {
+            description: "Named object configurations, created with MALC.definePrefab and MALC.instantiate",
+            definition: "Any part of gameObject.getProperties(), plus extends (base prefab name), scripts (functions or registered names) and components ([{type, data}] or {Health: {max: 100}})",
+            example: "MALC.definePrefab('slime', {width: 30, height: 20, formatting: {color: 'green'}, gravity: {enabled: true}, scripts: ['patrol']}); MALC.definePrefab('bigSlime', {extends: 'slime', scale: 2}); MALC.instantiate('bigSlime', 100, 50, 'level1')",
+            properties: {
+                prefab: "Set on instances: the name of the prefab they were made from"
+            }
+        },
+        
+        Coroutine: {
+            description: "A generator function run across simulation steps, created with obj.startCoroutine() or scene.startCoroutine()",
+            yields: {
+                "MALC.wait(ms)": "Resume after ms of the owner's time",
+                "MALC.until(fn)": "Resume once fn(owner) returns true",
+                coroutine: "Yield another coroutine, generator function or generator to wait for it; its return value is the result of the yield",
+                nothing: "A bare yield resumes on the next step"
+            },
+            properties: {
+                state: "running, paused, finished or stopped",
+                done: "Whether the coroutine has finished or been stopped",
+                value: "What the generator returned"
+            },
+            methods: {
+                stop: "Stop the coroutine (finally blocks still run)",
+                pause: "Pause the coroutine",
+                resume: "Resume a paused coroutine"
+            }
+        },
+        
+        Tween: {
+            description: "Animates numeric, array and color properties of any object over time",
+            constructor: "new Tween(target, props, durationMs, easing, {delay, repeat, yoyo, scene, onUpdate, onComplete}) - or MALC.tween(...) to create and start one",
+            properties: {
+                state: "idle, running, paused, finished or cancelled",
+                finished: "Promise resolved when the tween completes or is cancelled (tweens can also be awaited)"
+            },
+            methods: {
+                start: "Start the tween",
+                chain: "Start another tween when this one completes: a.chain(b).chain(c)",
+                pause: "Pause the tween",
+                resume: "Resume a paused tween",
+                cancel: "Stop the tween where it is"
+            },
+            staticMethods: {
+                killTweensOf: "Cancel every tween animating a target"
+            }
+        },
+        
         Camera: {
             description: "Camera system for following game objects",
             constructor: "new Camera(canvasWidth, canvasHeight)",
@@ -2698,7 +6681,10 @@ const helpDocs = {
                 wasMouseClicked: "Check if mouse was clicked this frame",
                 isDragging: "Check if mouse is dragging",
                 getDragDelta: "Get drag movement since drag started",
-                getWheelDelta: "Get mouse wheel scroll amount"
+                getWheelDelta: "Get mouse wheel scroll amount",
+                moveTo: "Simulate moving the mouse (headless/tests)",
+                press: "Simulate pressing a mouse button (headless/tests)",
+                release: "Simulate releasing a mouse button (headless/tests)"
             }
         },
         
@@ -2709,7 +6695,9 @@ const helpDocs = {
                 getKey: "Get key data object",
                 held: "Get how long a key has been held (seconds)",
                 typed: "Get typed characters with shift handling",
-                getTypedBuffer: "Get current typed input without clearing"
+                getTypedBuffer: "Get current typed input without clearing",
+                press: "Simulate pressing a key (headless/tests)",
+                release: "Simulate releasing a key (headless/tests)"
             }
         },
         
@@ -2731,8 +6719,48 @@ const helpDocs = {
     // Utility Functions
     utilities: {
         coloredText: "Render text with color tags: coloredText('\\red|Hello| \\blue|World|', x, y)",
+        tween: "Animate properties: MALC.tween(player, {x: 300, rotation: 90}, 500, 'quadOut'). Dotted paths like 'formatting.orientation.1' and '+=10' are allowed",
+        sequence: "Run tweens one after another: MALC.sequence(a, b, c)",
+        parallel: "Run tweens at the same time: MALC.parallel(a, b)",
+        Easing: "Easing curves: linear, quad/cubic/quart/sine/expo/circ/back/bounce In, Out and InOut, elasticIn/Out",
         getFPS: "Get current frames per second",
+        getObjectById: "Find an object or button by id: MALC.getObjectById(player.id)",
+        definePrefab: "Define a reusable object configuration: MALC.definePrefab('slime', {width: 30, extends: 'enemy', ...})",
+        instantiate: "Create and add an object from a prefab: MALC.instantiate('slime', x, y, 'level1', {formatting: {color: 'red'}}). The last object overrides the prefab",
+        registerScript: "Name a script so prefabs (and JSON) can use it: MALC.registerScript('patrol', obj => ...)",
+        loadPrefabs: "Define every prefab in a {name: definition} object or JSON string",
+        addCollisionLayer: "Name collision layers: MALC.addCollisionLayer('player', 'pickups')",
+        setLayerCollision: "Turn collisions between two layers on or off: MALC.setLayerCollision('player', 'pickups', false)",
+        setCollisionMatrix: "Set which layers collide: MALC.setCollisionMatrix({enemies: ['world', 'player']}). A pair collides if either layer lists the other",
+        loadScene: "Create a scene from scene.toJSON() data: MALC.loadScene(json, {id, replace})",
+        save: "Save the game to a slot: MALC.save('slot1', {coins: 10}). Stores the active scene, scene history, scenes and your data",
+        load: "Restore a slot's scenes and scene history: let data = MALC.load('slot1')",
+        saves: "Save slot manager, see the SaveManager class",
+        registerSerializer: "Save your own gameObject subclass in scenes: MALC.registerSerializer('Enemy', Enemy, {create: data => new Enemy(...), toJSON: obj => extra, fromJSON: (obj, extra) => ...})",
+        fetchPrefabs: "Load prefab definitions from a JSON file: MALC.fetchPrefabs('prefabs.json').then(names => ...)",
+        on: "Listen on the engine-wide event bus: MALC.on('switch', (from, to) => ...) or any custom event",
+        once: "Listen for the next emit of an event only",
+        off: "Remove bus listeners: MALC.off(event, fn), MALC.off(event) or MALC.off()",
+        emit: "Fire an event on the bus: MALC.emit('scored', 10)",
+        wait: "Coroutine yield that resumes after ms: yield MALC.wait(500)",
+        until: "Coroutine yield that resumes once a condition holds: yield MALC.until(() => player.gravity.grounded)",
+        registerComponent: "Register a component class so loadComponents() can create it by name: MALC.registerComponent(Health)",
+        createWorld: "Create an independent engine for a p5 instance-mode sketch: let game = MALC.createWorld(p); game.init('2D'). It hears keys only while its canvas has focus",
+        dispose: "Remove input listeners and clear all scenes, objects, buttons, UI planes, systems and event bus listeners",
+        restart: "Dispose and initialise again: restart(mode, options). Systems and MALC.on listeners are kept",
+        use: "Make a world current so new scenes and objects are created in it: game.use()",
+        setTickRate: "Set the fixed simulation rate in ticks per second (default 60)",
+        setTimeScale: "Scale simulation speed for the whole game: setTimeScale(0.5) for bullet-time, 0 to pause",
+        pause: "Pause the simulation while still drawing (timeScale 0)",
+        resume: "Resume after pause() at the previous time scale",
+        stepFrame: "Debug: run one (or n) ticks on the next update, even while paused",
+        step: "Advance a number of frames of exactly one tick each, for headless runs: MALC.step(frames)",
+        deltaTime: "Simulation seconds advanced per tick, after the global time scale (read MALC.deltaTime)",
+        alpha: "Fraction of a tick left over after the last step, for interpolated rendering (read MALC.alpha)",
+        interpolate: "Set true to draw objects between their last two ticks, smoothing motion when frames and ticks don't line up. Drawing lags up to one tick; move with setPosition so jumps don't slide (default false)",
         generateId: "Generate unique ID with prefix",
+        addSystem: "Hook a function before or after a pipeline stage: addSystem('physics', fn, 'after'). Stages: input, scripts, physics, lateUpdate, render, ui",
+        removeSystem: "Remove a system added with addSystem: removeSystem(stage, fn)",
         getTimestamp: "Get current timestamp in milliseconds"
     },
     
@@ -2756,9 +6784,93 @@ const helpDocs = {
         function draw() {
             MALC.update(); // Updates all MALC systems
         }
+        
+        // Each frame runs: input -> (scripts -> physics -> lateUpdate) per tick -> render -> ui
+        // Scripts move things; draw from scene.onRender or a UIPlane
+        
+        // Instance mode: MALC.init("2D", { p5: sketch }), or one world per sketch:
+        //   new p5(p => {
+        //       const game = MALC.createWorld(p);
+        //       p.setup = () => { p.createCanvas(400, 300); game.init("2D"); new MALC.Scene("main", 0); };
+        //       p.draw = () => game.update();
+        //   });
+        // Each sketch's canvas is made focusable and only it hears keys while focused (click or tab to it)
+        
+        // Headless (Node, no canvas): MALC.init("2D", { headless: true })
+        // then advance frame by frame with MALC.step(frames)
     `
 };
 
+// ========== WORLDS ==========
+// A world is one independent copy of the engine: its own scenes, objects,
+// camera, input handlers and p5 instance. MALC is the default world and
+// MALC.createWorld(sketch) makes more, one per p5 instance-mode sketch.
+// Only one world is bound at a time; binding swaps the shared state above.
+function createWorldState(renderer) {
+    return {
+        gameObjects: [],
+        buttons: [],
+        scenes: [],
+        uiPlanes: [],
+        tweens: [],
+        objectsById: new Map(),
+        destroyQueue: [],
+        buttonsToggled: true,
+        renderer: renderer,
+        activeScene: "blank",
+        sceneHistory: [],
+        historyLimit: 10,
+        gravity: GRAVITY,
+        terminalVelocity: TERMINAL_VELOCITY
+    };
+}
+
+function createSystems() {
+    return PIPELINE_STAGES.reduce((systems, stage) => {
+        systems[stage] = { before: [], after: [] };
+        return systems;
+    }, {});
+}
+
+function bindWorld(world) {
+    if (engine === world) return;
+    
+    // Store what lives in class statics and module bindings for the outgoing world
+    if (engine) {
+        let outgoing = engine._state;
+        outgoing.renderer = _p;
+        outgoing.uiPlanes = UIPlanes;
+        outgoing.buttonsToggled = buttonsToggled;
+        outgoing.activeScene = Scene.activeScene;
+        outgoing.sceneHistory = Scene.sceneHistory;
+        outgoing.historyLimit = Scene.historyLimit;
+        outgoing.gravity = gameObject.gravity;
+        outgoing.terminalVelocity = gameObject.terminalVelocity;
+    }
+    
+    engine = world;
+    
+    let state = world._state;
+    MALCgameObjects = state.gameObjects;
+    MALCbuttons = state.buttons;
+    MALCScene = state.scenes;
+    UIPlanes = state.uiPlanes;
+    MALCTweens = state.tweens;
+    MALCObjectsById = state.objectsById;
+    MALCDestroyQueue = state.destroyQueue;
+    buttonsToggled = state.buttonsToggled;
+    _p = state.renderer;
+    
+    Scene.scenes = MALCScene;
+    Scene.activeScene = state.activeScene;
+    Scene.sceneHistory = state.sceneHistory;
+    Scene.historyLimit = state.historyLimit;
+    gameObject.objects = MALCgameObjects;
+    gameObject.gravity = state.gravity;
+    gameObject.terminalVelocity = state.terminalVelocity;
+    Button.buttons = MALCbuttons;
+}
+
 // ========== MALC MAIN OBJECT ==========
 const MALC = {
     version: "1.1.0",
@@ -2772,9 +6884,25 @@ const MALC = {
     Scene: Scene,
     UIPlane: UIPlane,
     Camera: Camera,
+    Timer: Timer,
+    Coroutine: Coroutine,
+    Component: Component,
+    SpriteSheet: SpriteSheet,
+    Animator: Animator,
+    Prefab: Prefab,
+    SaveManager: SaveManager,
+    CollisionLayers: CollisionLayers,
+    SpatialHash: SpatialHash,
+    Tween: Tween,
+    TweenGroup: TweenGroup,
+    Easing: Easing,
+    
+    // Running without a browser window or p5 canvas
+    headless: false,
+    elapsed: 0,
     
     // Input handlers
-    mouse: null,
+    mouse: new MouseHandler(),
     keyboard: keyboard,
     controller: controller,
     
@@ -2787,6 +6915,45 @@ const MALC = {
     startTime: new Date().getTime(),
     timer: 0,
     
+    // Fixed-timestep simulation
+    tickRate: DEFAULT_TICK_RATE,
+    fixedDelta: 1 / DEFAULT_TICK_RATE,
+    deltaTime: 1 / DEFAULT_TICK_RATE, // simulation seconds advanced per tick
+    frameTime: 0, // real seconds since the previous frame (clamped)
+    alpha: 0, // leftover fraction of a tick, for interpolated rendering
+    interpolate: false, // true draws between the last two ticks so uneven ticks per frame don't stutter
+    maxFrameTime: MAX_FRAME_TIME,
+    maxStepsPerFrame: MAX_STEPS_PER_FRAME,
+    accumulator: 0,
+    lastFrameTime: null,
+    simulationTime: 0,
+    ticks: 0,
+    
+    // Global time scale: 0.5 is slow motion, 0 pauses the simulation but keeps drawing
+    timeScale: 1,
+    resumeTimeScale: 1,
+    pendingSteps: 0,
+    
+    // Custom systems hooked around each pipeline stage
+    stages: PIPELINE_STAGES,
+    systems: createSystems(),
+    
+    // Listeners for MALC.on/emit
+    events: new EventEmitter(),
+    
+    // Save slots, see MALC.save and MALC.load
+    saves: new SaveManager(),
+    
+    // Which collision layers collide, see MALC.setLayerCollision
+    collisionLayers: new CollisionLayers(),
+    
+    // p5 instance this world draws with (null uses the global sketch)
+    sketch: null,
+    
+    // Lifecycle
+    initialized: false,
+    initOptions: null,
+    
     // Camera (will be initialized in init)
     camera: null,
     
@@ -2884,7 +7051,27 @@ const MALC = {
     },
     
     // Initialize the engine (mode only, no canvas creation)
-    init: function(mode = MODE_2D) {
+    init: function(mode = MODE_2D, options = {}) {
+        bindWorld(this);
+        
+        // Initialising again boots a fresh game instead of stacking a second one
+        if (this.initialized) this.dispose();
+        this.initOptions = options;
+        
+        if (options.p5) this.sketch = options.p5;
+        
+        // Run headless when asked to, or when there is no browser or p5 to draw with
+        this.headless = options.headless !== undefined ? !!options.headless :
+            (!this.sketch && (!_p5 || !hasWindow()));
+        if (this.headless) {
+            _p = createHeadlessRenderer(options.width, options.height);
+        } else if (this.sketch) {
+            _p = this.sketch;
+        } else if (_p5) {
+            _p = _p5.instance || _p5.prototype;
+        }
+        this._state.renderer = _p;
+        
         // Set the mode
         if (mode === MODE_2D || mode === MODE_3D) {
             this.mode = mode;
@@ -2902,55 +7089,147 @@ const MALC = {
         this.startTime = this.time.getTime();
         this.timer = 0;
         
-        // Initialize mouse handler
-        this.mouse = new MouseHandler();
-        window.mouse = this.mouse;
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.elapsed = 0;
+        this.simulationTime = 0;
+        this.ticks = 0;
+        
+        // The mouse handler exists from the start; init only starts listening
+        if (!this.mouse) this.mouse = new MouseHandler();
+        
+        if (!this.headless) {
+            this.mouse.setupEventListeners();
+            this.keyboard.setupEventListeners(this.getKeyTarget());
+            this.controller.setupListeners();
+            if (this === MALC && hasWindow()) window.mouse = this.mouse;
+        }
         
         // Initialize camera (with default dimensions - will be updated when canvas is created)
-        this.camera = new Camera(800, 600);
+        let sketchWidth = this.sketch && this.sketch.width;
+        let sketchHeight = this.sketch && this.sketch.height;
+        this.camera = new Camera(options.width || sketchWidth || 800, options.height || sketchHeight || 600);
         
         // Start FPS tracking
-        refreshLoop();
+        if (!this.headless) startFPSTracking(this);
         
         // Create default scenes
         new Scene("blank", 70);
-        new Scene("loading", 50, function(self) {
+        let loading = new Scene("loading", 50);
+        let dotCount = 1;
+        loading.every(250, () => {
+            dotCount = (dotCount + 1) % 4;
+        });
+        loading.onRender(function(self) {
             try {
-                _p5.prototype.textSize(24);
-                let timed = (self.timeActive / 250 % 4);
-                let dots = "";
-                
-                if (timed < 1) dots = ".";
-                else if (timed < 2) dots = "..";
-                else if (timed < 3) dots = "...";
+                _p.textSize(24);
+                let dots = ".".repeat(dotCount);
                 
-                coloredText(`\\lime|Loading Game${dots}| `, 120, 200, _p5.prototype.LEFT, _p5.prototype.CENTER);
+                coloredText(`\\lime|Loading Game${dots}| `, 120, 200, _p.LEFT, _p.CENTER);
                 
-                _p5.prototype.textSize(16);
+                _p.textSize(16);
                 
                 let num = (Math.floor(self.timeActive / 100) / 10);
                 let percentText = `${ Math.round((10 - num) * 10) / 10 + ((num + "").length < 2 ? ".0" : "")}`;
                 
-                coloredText(`\\red|${percentText}|`, 200, 225, _p5.prototype.CENTER, _p5.prototype.CENTER);
+                coloredText(`\\red|${percentText}|`, 200, 225, _p.CENTER, _p.CENTER);
             } catch (e) {
-                _p5.prototype.text(`Loading Game...`, 120, 200);
+                _p.text(`Loading Game...`, 120, 200);
             }
         });
         
         Scene.activeScene = "loading";
         
+        this.initialized = true;
+        
         console.log(`MALC Game Engine initialized v${this.version} in ${this.mode} mode`);
         console.log("Type MALC.help() for documentation");
     },
     
-    // Update all systems (call in draw)
-    update: function() {
-        this.time = new Date();
-        this.timer = this.time - this.startTime;
+    // Set how many simulation steps run per second
+    setTickRate: function(rate) {
+        if (typeof rate != "number" || rate <= 0) {
+            console.warn(`Invalid tick rate "${rate}". Tick rate must be a positive number.`);
+            return;
+        }
+        this.tickRate = rate;
+        this.fixedDelta = 1 / rate;
+        this.deltaTime = this.fixedDelta;
+    },
+    
+    // Register a system to run before or after a pipeline stage
+    addSystem: function(stage, system, when = "after") {
+        if (!this.systems[stage]) {
+            console.error(`Unknown pipeline stage "${stage}". Stages: ${PIPELINE_STAGES.join(", ")}`);
+            return null;
+        }
+        if (typeof system != "function") {
+            console.error(`addSystem expects a function, got ${typeof system}`);
+            return null;
+        }
+        if (when !== "before" && when !== "after") {
+            console.warn(`Invalid system position "${when}". Defaulting to "after".`);
+            when = "after";
+        }
+        this.systems[stage][when].push(system);
+        return system;
+    },
+    
+    removeSystem: function(stage, system) {
+        if (!this.systems[stage]) return;
+        this.systems[stage].before = this.systems[stage].before.filter(s => s != system);
+        this.systems[stage].after = this.systems[stage].after.filter(s => s != system);
+    },
+    
+    // Run one pipeline stage surrounded by its registered systems
+    runStage: function(stage, run, dt) {
+        let hooks = this.systems[stage];
+        hooks.before.forEach(system => system(this, dt));
+        run();
+        hooks.after.forEach(system => system(this, dt));
+    },
+    
+    // Engine-wide event bus: MALC.on("switch", (from, to) => ...) or custom game events
+    on: function(event, listener) {
+        this.events.on(event, listener);
+        return this;
+    },
+    
+    once: function(event, listener) {
+        this.events.once(event, listener);
+        return this;
+    },
+    
+    off: function(event, listener) {
+        this.events.off(event, listener);
+        return this;
+    },
+    
+    emit: function(event, ...args) {
+        return this.events.emit(event, ...args);
+    },
+    
+    // Instance-mode sketches take keys from their own canvas, which is made focusable,
+    // so a key press only reaches the game that was clicked or tabbed to.
+    // Global mode keeps listening on the whole window
+    getKeyTarget: function() {
+        let canvas = this.sketch ? getSketchCanvas(this.sketch) : null;
+        if (!canvas) return null;
+        if (!(canvas.tabIndex >= 0)) canvas.tabIndex = 0;
+        return canvas;
+    },
+    
+    updateInput: function() {
+        // Headless runs read the simulated mouse state instead of a canvas
+        if (this.headless && this.mouse) {
+            _p.mouseX = this.mouse.mouse.x;
+            _p.mouseY = this.mouse.mouse.y;
+            _p.mouseIsPressed = this.mouse.mouse.pressed;
+        }
         
         if (this.mouse) {
-            this.mouse.rawX = _p5.prototype.mouseX;
-            this.mouse.rawY = _p5.prototype.mouseY;
+            this.mouse.rawX = _p.mouseX;
+            this.mouse.rawY = _p.mouseY;
             if (this.camera) {
                 this.mouse.x = this.mouse.rawX + this.camera.getOrientation()[0];
                 this.mouse.y = this.mouse.rawY + this.camera.getOrientation()[1];
@@ -2958,20 +7237,349 @@ const MALC = {
                 this.mouse.x = this.mouse.rawX;
                 this.mouse.y = this.mouse.rawY;
             }
-            this.mouse.down = _p5.prototype.mouseIsPressed;
+            this.mouse.down = _p.mouseIsPressed;
         }
         
-        controller.update();
-        
-        gameObject.update();
+        this.controller.update();
         Button.updateButton();
+    },
+    
+    // Advance the simulation by one fixed step
+    tick: function(dt) {
+        this.deltaTime = dt;
+        gameObject.savePrevious();
+        
+        this.runStage("scripts", () => {
+            Scene.runScripts();
+            gameObject.runScripts();
+            Tween.update(dt);
+        }, dt);
+        
+        this.runStage("physics", () => {
+            Scene.updateBroadphase();
+            gameObject.update();
+            gameObject.updateTriggers();
+            Scene.step(dt);
+        }, dt);
+        
+        this.runStage("lateUpdate", () => {
+            if (this.camera && typeof this.camera.updatePosition == "function") {
+                this.camera.updatePosition();
+            }
+            gameObject.updateScreenEvents();
+        }, dt);
+        
+        this.simulationTime += dt;
+        this.ticks++;
+    },
+    
+    // Update all systems (call in draw). frameTime (seconds) overrides the
+    // measured real time, which is how headless runs advance the clock
+    update: function(frameTime) {
+        bindWorld(this);
         
-        this.fps = fps;
+        let now = getHighResTime();
+        if (this.lastFrameTime === null) this.lastFrameTime = now;
         
-        if (this.camera && typeof this.camera.render == "function") {
-            this.camera.render();
+        if (typeof frameTime == "number") {
+            this.frameTime = Math.min(Math.max(frameTime, 0), this.maxFrameTime);
+        } else {
+            // Accumulate real time, clamped so a long stall cannot spiral into endless catch-up
+            this.frameTime = Math.min((now - this.lastFrameTime) / 1000, this.maxFrameTime);
         }
+        this.lastFrameTime = now;
+        
+        // Time stands still while paused, so the interpolation point holds too
+        if (this.timeScale > 0) this.accumulator += this.frameTime;
+        this.elapsed += this.frameTime;
+        
+        this.time = this.headless ? new Date(this.startTime + this.elapsed * 1000) : new Date();
+        this.timer = this.time - this.startTime;
+        
+        // Activate the current scene and its objects before anything runs
         Scene.update();
+        
+        this.runStage("input", () => this.updateInput());
+        
+        // The global time scale shortens or lengthens each tick rather than changing
+        // how many run, so slow motion keeps the full tick rate and stays smooth
+        let steps = 0;
+        while (this.accumulator >= this.fixedDelta && steps < this.maxStepsPerFrame) {
+            this.tick(this.fixedDelta * this.timeScale);
+            this.accumulator -= this.fixedDelta;
+            steps++;
+        }
+        
+        // Drop whatever could not be caught up this frame
+        if (this.accumulator >= this.fixedDelta) {
+            this.accumulator %= this.fixedDelta;
+        }
+        
+        // Frames requested with stepFrame run even while paused
+        while (this.pendingSteps > 0) {
+            this.tick(this.fixedDelta);
+            this.pendingSteps--;
+        }
+        this.alpha = this.accumulator / this.fixedDelta;
+        
+        this.fps = this.headless ? (this.frameTime > 0 ? 1 / this.frameTime : 0) : fps;
+        
+        this.runStage("render", () => Scene.render());
+        this.runStage("ui", () => Scene.renderUI());
+        
+        gameObject.flushDestroyed();
+    },
+    
+    // Scale applied to how fast simulation time passes (0 pauses, rendering continues)
+    setTimeScale: function(scale) {
+        this.timeScale = Math.max(0, Number(scale) || 0);
+    },
+    
+    pause: function() {
+        if (this.timeScale > 0) this.resumeTimeScale = this.timeScale;
+        this.timeScale = 0;
+    },
+    
+    resume: function() {
+        this.timeScale = this.resumeTimeScale || 1;
+    },
+    
+    isPaused: function() {
+        return this.timeScale === 0;
+    },
+    
+    // Debug control: run exactly this many ticks on the next update, even while paused
+    stepFrame: function(frames = 1) {
+        this.pendingSteps += Math.max(0, Math.floor(frames));
+    },
+    
+    // Advance a number of frames of exactly one tick each (headless stepping)
+    step: function(frames = 1) {
+        bindWorld(this);
+        for (let i = 0; i < frames; i++) {
+            this.update(this.fixedDelta);
+        }
+    },
+    
+    // Tear the engine down: remove input listeners, stop FPS tracking and
+    // forget every scene, object, button and UI plane so init can run again
+    dispose: function() {
+        bindWorld(this);
+        
+        if (this.mouse) this.mouse.removeEventListeners();
+        this.keyboard.removeEventListeners();
+        this.keyboard.reset();
+        this.controller.removeListeners();
+        stopFPSTracking(this);
+        
+        MALCgameObjects.forEach(o => {
+            o.active = false;
+            o.parentScene = null;
+        });
+        MALCScene.forEach(scene => {
+            scene.active = false;
+            scene._active = false;
+            scene.objects = [];
+            scene.uiPlanes = [];
+        });
+        
+        [...MALCTweens].forEach(runner => runner.cancel());
+        
+        MALCgameObjects.length = 0;
+        MALCbuttons.length = 0;
+        MALCScene.length = 0;
+        UIPlanes.length = 0;
+        MALCTweens.length = 0;
+        MALCObjectsById.clear();
+        MALCDestroyQueue.length = 0;
+        buttonsToggled = true;
+        
+        Scene.activeScene = "blank";
+        Scene.sceneHistory = [];
+        Scene.started = false;
+        gameObject.started = false;
+        gameObject.gravity = GRAVITY;
+        gameObject.terminalVelocity = TERMINAL_VELOCITY;
+        
+        this.systems = createSystems();
+        this.events.off();
+        this.mouse = new MouseHandler();
+        this.camera = null;
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.alpha = 0;
+        this.timeScale = 1;
+        this.resumeTimeScale = 1;
+        this.pendingSteps = 0;
+        this.initialized = false;
+        
+        if (this === MALC && hasWindow() && window.mouse) delete window.mouse;
+    },
+    
+    // Dispose and initialise again, by default with the same mode and options.
+    // Systems and event bus listeners the game registered carry over
+    restart: function(mode = this.mode, options = this.initOptions || {}) {
+        let systems = this.systems;
+        let events = this.events;
+        this.systems = createSystems();
+        this.events = new EventEmitter();
+        this.dispose();
+        this.systems = systems;
+        this.events = events;
+        this.init(mode, options);
+    },
+    
+    // Animate target's properties to the given values over duration ms
+    tween: function(target, props, duration = 1000, easing = "linear", options = {}) {
+        bindWorld(this);
+        return new Tween(target, props, duration, easing, options).start();
+    },
+    
+    // Run tweens (or groups) one after another
+    sequence: function(...tweens) {
+        bindWorld(this);
+        return new TweenGroup("sequence", tweens.flat()).start();
+    },
+    
+    // Run tweens (or groups) at the same time
+    parallel: function(...tweens) {
+        bindWorld(this);
+        return new TweenGroup("parallel", tweens.flat()).start();
+    },
+    
+    killTweensOf: function(target) {
+        bindWorld(this);
+        Tween.killTweensOf(target);
+    },
+    
+    // Coroutine yields: yield MALC.wait(500) or yield MALC.until(() => player.gravity.grounded)
+    wait: coroutineWait,
+    until: coroutineUntil,
+    
+    // Make a component class loadable by name from serialized data
+    registerComponent: function(Type, name) {
+        return Component.register(Type, name);
+    },
+    
+    // Prefabs: named object configurations, see the Prefab class
+    definePrefab: function(name, definition) {
+        return Prefab.define(name, definition);
+    },
+    
+    instantiate: function(name, x, y, ...scenes) {
+        bindWorld(this);
+        return Prefab.instantiate(name, x, y, ...scenes);
+    },
+    
+    // Let prefab definitions refer to a script by name, e.g. from JSON
+    registerScript: function(name, script) {
+        return Prefab.registerScript(name, script);
+    },
+    
+    // Define every prefab in a {name: definition} object or JSON string
+    loadPrefabs: function(data) {
+        return Prefab.load(data);
+    },
+    
+    // Scene serialization, see scene.toJSON()
+    loadScene: function(data, options) {
+        bindWorld(this);
+        return Scene.fromJSON(data, options);
+    },
+    
+    registerSerializer: function(name, Type, options) {
+        return registerSerializer(name, Type, options);
+    },
+    
+    // Save games: MALC.save(slot, data) stores the scenes and data, MALC.load(slot) restores them
+    save: function(slot, data, options) {
+        bindWorld(this);
+        return this.saves.save(slot, data, options);
+    },
+    
+    load: function(slot) {
+        bindWorld(this);
+        return this.saves.load(slot);
+    },
+    
+    // Collision layers, see the CollisionLayers class
+    addCollisionLayer: function(...names) {
+        this.collisionLayers.add(...names);
+        return this;
+    },
+    
+    setLayerCollision: function(a, b, collides = true) {
+        this.collisionLayers.set(a, b, collides);
+        return this;
+    },
+    
+    setCollisionMatrix: function(matrix) {
+        this.collisionLayers.setMatrix(matrix);
+        return this;
+    },
+    
+    // Fetch a JSON file of prefab definitions; resolves with the names defined
+    fetchPrefabs: function(url) {
+        if (typeof fetch != "function") {
+            return Promise.reject(new Error("fetch is not available to load " + url));
+        }
+        return fetch(url).then(response => response.json()).then(data => Prefab.load(data));
+    },
+    
+    // Look an object or button up by id; destroyed objects are not returned
+    getObjectById: function(id) {
+        bindWorld(this);
+        return gameObject.getObjectById(id);
+    },
+    
+    // Make this world the one new scenes and objects are created in
+    use: function() {
+        bindWorld(this);
+        return this;
+    },
+    
+    // Create an independent world for a p5 instance-mode sketch
+    createWorld: function(sketch) {
+        let world = Object.create(MALC);
+        
+        Object.assign(world, {
+            mode: MODE_2D,
+            sketch: sketch || null,
+            headless: false,
+            elapsed: 0,
+            mouse: new MouseHandler(),
+            keyboard: new KeyboardHandler(),
+            controller: new GameController(),
+            fps: 0,
+            time: new Date(),
+            startTime: new Date().getTime(),
+            timer: 0,
+            tickRate: DEFAULT_TICK_RATE,
+            fixedDelta: 1 / DEFAULT_TICK_RATE,
+            deltaTime: 1 / DEFAULT_TICK_RATE,
+            frameTime: 0,
+            alpha: 0,
+            interpolate: false,
+            maxFrameTime: MAX_FRAME_TIME,
+            maxStepsPerFrame: MAX_STEPS_PER_FRAME,
+            accumulator: 0,
+            lastFrameTime: null,
+            simulationTime: 0,
+            ticks: 0,
+            timeScale: 1,
+            resumeTimeScale: 1,
+            pendingSteps: 0,
+            systems: createSystems(),
+            events: new EventEmitter(),
+            saves: new SaveManager(),
+            collisionLayers: new CollisionLayers(),
+            camera: null,
+            initialized: false,
+            initOptions: null,
+            _state: createWorldState(sketch || _p)
+        });
+        
+        return world;
     },
     
     // Update camera dimensions when canvas is resized
@@ -2983,8 +7591,8 @@ const MALC = {
     }
 };
 
-// Initialize mouse and keyboard handlers
-MALC.mouse = new MouseHandler();
+MALC._state = createWorldState(_p);
+engine = MALC;
 
 return MALC;
 
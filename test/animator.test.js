@@ -0,0 +1,107 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+const image = { id: 'IMG', width: 128, height: 64 };
+
+function setup() {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('animator', 0);
+    const obj = new MALC.gameObject(100, 200, 20, 20, 'animator');
+    obj.setSprite(new MALC.SpriteSheet(image, 32, 32));
+    level.addObject(obj);
+    MALC.Scene.switchToScene('animator');
+    MALC.step(1);
+    return { level, obj };
+}
+
+test('frame ranges count up or down and must be whole numbers', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    MALC.init('2D', { headless: true });
+    const obj = new MALC.gameObject(0, 0, 10, 10);
+    obj.animator
+        .addClip('up', { frames: { from: 2, to: 5 } })
+        .addClip('down', { frames: { from: 5, to: 2 } })
+        .addClip('text', { frames: { from: 0, to: '3' } })
+        .addClip('half', { frames: { from: 1.5, to: 3 } })
+        .addClip('open', { frames: { to: 3 } });
+
+    assert.deepStrictEqual(obj.animator.clips.up.frames, [2, 3, 4, 5]);
+    assert.deepStrictEqual(obj.animator.clips.down.frames, [5, 4, 3, 2]);
+    assert.deepStrictEqual(Object.keys(obj.animator.clips), ['up', 'down']);
+    assert.strictEqual(error.mock.callCount(), 3);
+    MALC.dispose();
+});
+
+test('clips advance at their own fps and fire frame events', () => {
+    const { obj } = setup();
+    const steps = [];
+    obj.animator
+        .addClip('idle', { frames: [0, 1], fps: 10 })
+        .addClip('run', { frames: { from: 2, to: 5 }, fps: 10, events: { 2: () => steps.push('step') } })
+        .play('idle');
+
+    MALC.step(7);
+    assert.strictEqual(obj.sprite.frame, 1);
+
+    obj.animator.play('run');
+    assert.strictEqual(obj.sprite.frame, 2);
+    MALC.step(13);
+    assert.strictEqual(obj.sprite.frame, 4);
+    assert.deepStrictEqual(steps, ['step']);
+    MALC.dispose();
+});
+
+test('a clip that does not loop stops on its last frame and emits animationEnd', () => {
+    const { obj } = setup();
+    const ended = [];
+    obj.on('animationEnd', name => ended.push(name));
+    obj.animator.addClip('attack', { frames: [6, 7], fps: 10, loop: false }).play('attack');
+
+    MALC.step(30);
+    assert.strictEqual(obj.sprite.frame, 7);
+    assert.deepStrictEqual(ended, ['attack']);
+    MALC.dispose();
+});
+
+test('transitions switch clips when their condition holds', () => {
+    const { obj } = setup();
+    obj.animator
+        .addClip('idle', { frames: [0, 1], fps: 10 })
+        .addClip('jump', { frames: [6, 7], fps: 10, loop: false })
+        .addTransition('*', 'jump', o => o.y < 150)
+        .addTransition('jump', 'idle', o => o.y >= 150)
+        .play('idle');
+
+    obj.y = 100;
+    MALC.step(1);
+    assert.strictEqual(obj.animator.current, 'jump');
+    obj.y = 200;
+    MALC.step(1);
+    assert.strictEqual(obj.animator.current, 'idle');
+    MALC.dispose();
+});
+
+test('a crossfade draws both frames until it is over', () => {
+    const { obj } = setup();
+    obj.animator.addClip('idle', { frames: [0] }).addClip('run', { frames: [2] }).play('idle');
+    MALC.step(1);
+
+    obj.animator.crossfade('run', 100);
+    MALC.step(1);
+    assert.ok(obj.animator.getFadeAmount() > 0);
+    MALC.step(10);
+    assert.strictEqual(obj.animator.getFadeAmount(), 0);
+    assert.strictEqual(obj.sprite.frame, 2);
+    MALC.dispose();
+});
+
+test('clones get their own animator in the same clip', () => {
+    const { obj } = setup();
+    obj.animator.addClip('run', { frames: [2, 3] }).play('run');
+    const copy = obj.clone();
+    assert.strictEqual(copy.animator.current, 'run');
+    assert.strictEqual(copy.animator.gameObject, copy);
+    MALC.dispose();
+});
@@ -0,0 +1,90 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup(id) {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene(id, 0);
+    MALC.Scene.switchToScene(id);
+    MALC.step(1);
+    return level;
+}
+
+test('a matrix pair collides if either layer lists the other', () => {
+    const layers = new MALC.CollisionLayers();
+    layers.setMatrix({ a: ['b'], b: [] });
+    assert.strictEqual(layers.collides('a', 'b'), true);
+    assert.strictEqual(layers.collides('b', 'a'), true);
+
+    const reversed = new MALC.CollisionLayers();
+    reversed.setMatrix({ b: [], a: ['b'] });
+    assert.deepStrictEqual(reversed.getMatrix(), layers.getMatrix());
+});
+
+test('layers left out of every list stop colliding', () => {
+    const layers = new MALC.CollisionLayers();
+    layers.setMatrix({ enemies: ['player'] });
+    assert.strictEqual(layers.collides('enemies', 'player'), true);
+    assert.strictEqual(layers.collides('enemies', 'default'), false);
+    assert.strictEqual(layers.collides('player', 'default'), true);
+});
+
+test('layer settings and masks decide whether objects can collide', () => {
+    setup('layers-mask');
+    const a = new MALC.gameObject(0, 0, 10, 10);
+    const b = new MALC.gameObject(5, 0, 10, 10);
+    assert.strictEqual(a.canCollideWith(b), true);
+
+    a.setCollisionMask('walls');
+    assert.strictEqual(a.canCollideWith(b), false);
+    b.setCollisionLayer('walls');
+    assert.strictEqual(a.canCollideWith(b), true);
+
+    MALC.setLayerCollision('walls', 'default', false);
+    assert.strictEqual(a.canCollideWith(b), false);
+    MALC.dispose();
+});
+
+test('an object falls through ground on a layer it ignores', () => {
+    const level = setup('layers-ground');
+    const ground = new MALC.gameObject(200, 300, 400, 20, 'layers-ground');
+    const player = new MALC.gameObject(200, 250, 20, 20, 'layers-ground');
+    player.setCollisionLayer('player');
+    player.gravity.enabled = true;
+    level.addObjects([ground, player]);
+
+    MALC.step(60);
+    assert.strictEqual(player.gravity.grounded, true);
+
+    MALC.setLayerCollision('player', 'default', false);
+    MALC.step(60);
+    assert.ok(player.y > 300);
+    MALC.dispose();
+});
+
+test('triggers report enter, stay and exit without blocking', () => {
+    const level = setup('layers-trigger');
+    const coin = new MALC.gameObject(100, 100, 20, 20, 'layers-trigger');
+    coin.setTrigger();
+    const player = new MALC.gameObject(100, 100, 20, 20, 'layers-trigger');
+    level.addObjects([coin, player]);
+
+    const events = [];
+    ['triggerEnter', 'triggerStay', 'triggerExit'].forEach(name => {
+        player.on(name, other => {
+            assert.strictEqual(other, coin);
+            events.push(name);
+        });
+    });
+
+    MALC.step(3);
+    assert.strictEqual(player.x, 100);
+    assert.deepStrictEqual(events.slice(0, 2), ['triggerEnter', 'triggerStay']);
+
+    player.setPosition(400, 400);
+    MALC.step(1);
+    assert.strictEqual(events[events.length - 1], 'triggerExit');
+    assert.strictEqual(events.filter(e => e === 'triggerEnter').length, 1);
+    MALC.dispose();
+});
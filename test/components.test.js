@@ -0,0 +1,109 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+class Health extends MALC.Component {
+    max = 100;
+    start() { this.hp = this.max; }
+    update() { if (this.hp > 0) this.hp--; }
+    onDestroy() { this.removed = true; }
+}
+MALC.registerComponent(Health);
+
+class Follow extends MALC.Component {
+    target = null;
+    speed = 2;
+}
+MALC.registerComponent(Follow);
+
+function setup(id) {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene(id, 0);
+    MALC.Scene.switchToScene(id);
+    MALC.step(1);
+    return level;
+}
+
+test('components start, update with the object and clean up when removed', () => {
+    const level = setup('components-life');
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'components-life');
+    level.addObject(obj);
+    const health = obj.addComponent(Health, { max: 10 });
+    assert.strictEqual(health.gameObject, obj);
+    assert.strictEqual(obj.getComponent(Health), health);
+    assert.strictEqual(obj.getComponent('Health'), health);
+
+    MALC.step(4);
+    assert.strictEqual(health.started, true);
+    assert.ok(health.hp < 10 && health.hp >= 6);
+
+    obj.removeComponent(health);
+    assert.strictEqual(health.removed, true);
+    assert.strictEqual(obj.hasComponent(Health), false);
+    MALC.dispose();
+});
+
+test('disabled components are not updated', () => {
+    const level = setup('components-disabled');
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'components-disabled');
+    level.addObject(obj);
+    const health = obj.addComponent(Health);
+    MALC.step(2);
+    health.enabled = false;
+    const hp = health.hp;
+    MALC.step(5);
+    assert.strictEqual(health.hp, hp);
+    MALC.dispose();
+});
+
+test('destroying the object destroys its components', () => {
+    const level = setup('components-destroy');
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'components-destroy');
+    level.addObject(obj);
+    const health = obj.addComponent(Health);
+    MALC.step(2);
+    obj.destroy();
+    MALC.step(1);
+    assert.strictEqual(health.removed, true);
+    MALC.dispose();
+});
+
+test('scenes can be filtered by component class', () => {
+    const level = setup('components-filter');
+    const a = new MALC.gameObject(0, 0, 10, 10, 'components-filter');
+    const b = new MALC.gameObject(0, 0, 10, 10, 'components-filter');
+    level.addObjects([a, b]);
+    a.addComponent(Health);
+    assert.deepStrictEqual(level.getObjects(Health), [a]);
+    MALC.dispose();
+});
+
+test('object references survive serialization, cloning and loading', () => {
+    const level = setup('components-refs');
+    const follower = new MALC.gameObject(0, 0, 10, 10, 'components-refs');
+    const target = new MALC.gameObject(50, 0, 10, 10, 'components-refs');
+    level.addObjects([follower, target]);
+    const follow = follower.addComponent(Follow, { target: target });
+    follow.loop = {};
+    follow.loop.self = follow.loop;
+    follow.callback = () => 1;
+
+    const saved = follower.serializeComponents();
+    assert.deepStrictEqual(saved[0].data.target, { ref: target.id });
+    assert.strictEqual(saved[0].data.callback, undefined);
+    assert.doesNotThrow(() => JSON.stringify(saved));
+
+    assert.strictEqual(follower.clone().getComponent(Follow).target, target);
+
+    const copy = level.clone('components-copy');
+    const copied = copy.objects.find(o => o.hasComponent(Follow));
+    assert.notStrictEqual(copied.getComponent(Follow).target, target);
+    assert.ok(copy.objects.includes(copied.getComponent(Follow).target));
+
+    const loaded = MALC.Scene.fromJSON(JSON.stringify(level), { id: 'components-loaded' });
+    const restored = loaded.objects.find(o => o.hasComponent(Follow));
+    assert.strictEqual(restored.getComponent(Follow).speed, 2);
+    assert.ok(loaded.objects.includes(restored.getComponent(Follow).target));
+    MALC.dispose();
+});
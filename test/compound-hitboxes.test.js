@@ -0,0 +1,93 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+const round = values => values.map(v => Math.round(v * 1000) / 1000 + 0);
+
+function lShape() {
+    const shape = new MALC.gameObject(0, 0, 100, 100);
+    shape.hitbox.parts = [
+        { x: -40, y: 0, width: 20, height: 100 },
+        { x: 0, y: 40, width: 100, height: 20 }
+    ];
+    return shape;
+}
+
+test('rotated objects and hitboxes collide as oriented boxes', () => {
+    MALC.init('2D', { headless: true });
+    const blade = new MALC.gameObject(0, 0, 40, 4);
+    const box = new MALC.gameObject(12, 12, 4, 4);
+    assert.strictEqual(blade.collidesWith(box), false);
+
+    blade.rotation = 45;
+    assert.strictEqual(blade.collidesWith(box), true);
+
+    blade.rotation = 0;
+    blade.hitbox.rotation = 45;
+    assert.strictEqual(blade.collidesWith(box), true);
+    MALC.dispose();
+});
+
+test('resolving against a rotated box pushes out along its face', () => {
+    MALC.init('2D', { headless: true });
+    const blade = new MALC.gameObject(0, 0, 40, 4);
+    const box = new MALC.gameObject(12, 12, 4, 4);
+    blade.rotation = 45;
+
+    const contact = box.resolveCollision(blade);
+    assert.strictEqual(Math.round(contact.depth * 1000) / 1000, 4.828);
+    const after = box.getContact(blade);
+    assert.deepStrictEqual(round(after.normal), [0.707, -0.707]);
+    assert.ok(Math.abs(after.depth) < 1e-9);
+    MALC.dispose();
+});
+
+test('compound hitboxes only collide where a part is', () => {
+    MALC.init('2D', { headless: true });
+    const shape = lShape();
+    const inside = new MALC.gameObject(20, -20, 10, 10);
+    const onArm = new MALC.gameObject(20, 40, 10, 10);
+    const onLeg = new MALC.gameObject(-40, -40, 10, 10);
+
+    assert.strictEqual(shape.collidesWith(inside), false);
+    assert.strictEqual(shape.collidesWith(onArm), true);
+    assert.strictEqual(shape.collidesWith(onLeg), true);
+    assert.strictEqual(shape.containsPoint(20, -20), false);
+    assert.strictEqual(shape.containsPoint(-45, -45), true);
+    assert.deepStrictEqual(shape.getCollisionBounds(), { left: -50, right: 50, top: -50, bottom: 50 });
+    MALC.dispose();
+});
+
+test('contacts name the parts that touched', () => {
+    MALC.init('2D', { headless: true });
+    const shape = lShape();
+    const onArm = new MALC.gameObject(20, 40, 10, 10);
+    const onLeg = new MALC.gameObject(-40, -40, 10, 10);
+
+    const arm = onArm.getContact(shape);
+    assert.deepStrictEqual(round(arm.normal), [0, 1]);
+    assert.strictEqual(arm.depth, 15);
+    assert.strictEqual(arm.otherPart, 1);
+    assert.strictEqual(shape.getContact(onLeg).part, 0);
+
+    shape.hitbox.parts.push({ x: 40, y: -40, width: 10, height: 10, shape: 'circle' });
+    shape.rotation = 90;
+    const ball = new MALC.gameObject(40, 40, 4, 4);
+    assert.strictEqual(shape.getContact(ball).part, 2);
+    MALC.dispose();
+});
+
+test('convex polygons use the separating axis test', () => {
+    MALC.init('2D', { headless: true });
+    const triangle = new MALC.gameObject(0, 0, 40, 40,
+        { shape: { type: 'polygon', points: [[0, -20], [20, 20], [-20, 20]] } });
+    const touching = new MALC.gameObject(-9, -2, 4, 4);
+    const outside = new MALC.gameObject(-15, -12, 4, 4);
+
+    const contact = triangle.getContact(touching);
+    assert.deepStrictEqual(round(contact.normal), [-0.894, -0.447]);
+    assert.strictEqual(Math.round(contact.depth * 1000) / 1000, 2.683);
+    assert.strictEqual(triangle.collidesWith(outside), false);
+    MALC.dispose();
+});
@@ -0,0 +1,89 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+// Contact without the object reference, for comparing. Adding 0 turns -0 into 0
+const plain = contact => contact && {
+    normal: contact.normal.map(n => n + 0),
+    depth: contact.depth,
+    part: contact.part,
+    otherPart: contact.otherPart
+};
+
+test('box contacts report normal and depth, and touching counts', () => {
+    MALC.init('2D', { headless: true });
+    const a = new MALC.gameObject(100, 100, 20, 20);
+    const b = new MALC.gameObject(115, 100, 20, 20);
+    assert.deepStrictEqual(plain(a.getContact(b)), { normal: [1, 0], depth: 5, part: 0, otherPart: 0 });
+    assert.strictEqual(a.getContact(b).other, b);
+
+    b.x = 120;
+    assert.strictEqual(a.collidesWith(b), true);
+    assert.equal(a.getContact(b).depth, 0);
+
+    b.x = 126;
+    assert.strictEqual(a.collidesWith(b), false);
+    assert.strictEqual(a.getContact(b), null);
+    MALC.dispose();
+});
+
+test('boxes that only share a corner region do not collide', () => {
+    MALC.init('2D', { headless: true });
+    const a = new MALC.gameObject(100, 100, 20, 20);
+    const b = new MALC.gameObject(85, 85, 8, 8);
+    assert.strictEqual(a.collidesWith(b), false);
+    assert.strictEqual(b.collidesWith(a), false);
+    MALC.dispose();
+});
+
+test('hitbox size and offset change the collider', () => {
+    MALC.init('2D', { headless: true });
+    const a = new MALC.gameObject(100, 100, 20, 20);
+    const b = new MALC.gameObject(125, 100, 20, 20);
+    assert.strictEqual(a.collidesWith(b), false);
+
+    b.hitbox.width = 12;
+    assert.strictEqual(a.getContact(b).depth, 1);
+
+    b.hitbox.width = 0;
+    b.hitbox.x = -8;
+    assert.strictEqual(a.collidesWith(b), true);
+    MALC.dispose();
+});
+
+test('resolveCollision pushes out along the contact normal', () => {
+    MALC.init('2D', { headless: true });
+    const a = new MALC.gameObject(100, 100, 20, 20);
+    const b = new MALC.gameObject(115, 112, 20, 20);
+    const contact = a.resolveCollision(b);
+    assert.deepStrictEqual(plain(contact), { normal: [1, 0], depth: 5, part: 0, otherPart: 0 });
+    assert.strictEqual(a.x, 95);
+    assert.strictEqual(a.y, 100);
+    assert.equal(a.getContact(b).depth, 0);
+
+    const c = new MALC.gameObject(0, 0, 20, 20, { shape: 'circle' });
+    const d = new MALC.gameObject(15, 0, 20, 20, { shape: 'circle' });
+    assert.deepStrictEqual(plain(c.getContact(d)), { normal: [1, 0], depth: 5, part: 0, otherPart: 0 });
+    c.resolveCollision(d, 0.5);
+    assert.strictEqual(c.x, -2.5);
+    assert.strictEqual(d.x, 17.5);
+    MALC.dispose();
+});
+
+test('objects land on the top of a ground hitbox', () => {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('contacts', 0);
+    const ground = new MALC.gameObject(200, 300, 400, 20, 'contacts');
+    ground.hitbox.y = -5;
+    const player = new MALC.gameObject(200, 200, 20, 20, 'contacts');
+    player.gravity.enabled = true;
+    level.addObjects([ground, player]);
+    MALC.Scene.switchToScene('contacts');
+    MALC.step(120);
+
+    assert.strictEqual(player.gravity.grounded, true);
+    assert.strictEqual(player.groundObject, ground);
+    assert.strictEqual(player.y, 275);
+    MALC.dispose();
+});
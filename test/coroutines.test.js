@@ -0,0 +1,126 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+test('a coroutine can destroy its own object', () => {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('coroutine-destroy', 0);
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'coroutine-destroy');
+    level.addObject(obj);
+    MALC.Scene.switchToScene('coroutine-destroy');
+
+    let cleanedUp = false;
+    let ranOn = false;
+    obj.startCoroutine(function* (self) {
+        try {
+            yield MALC.wait(100);
+            self.destroy();
+            yield MALC.wait(10);
+            ranOn = true;
+        } finally {
+            cleanedUp = true;
+        }
+    });
+
+    assert.doesNotThrow(() => MALC.step(20));
+    assert.strictEqual(obj.destroyed, true);
+    assert.strictEqual(cleanedUp, true);
+    assert.strictEqual(ranOn, false);
+    MALC.dispose();
+});
+
+test('a scene coroutine can reset its scene', () => {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('coroutine-reset', 0);
+    MALC.Scene.switchToScene('coroutine-reset');
+
+    let finished = false;
+    level.startCoroutine(function* () {
+        try {
+            yield MALC.wait(50);
+            level.reset();
+            yield MALC.wait(10);
+        } finally {
+            finished = true;
+        }
+    });
+
+    assert.doesNotThrow(() => MALC.step(20));
+    assert.strictEqual(finished, true);
+    MALC.dispose();
+});
+
+test('wait, until and nested generators resume in order', () => {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('coroutine-order', 0);
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'coroutine-order');
+    level.addObject(obj);
+    MALC.Scene.switchToScene('coroutine-order');
+    MALC.step(1);
+
+    const log = [];
+    function* shoot(n) {
+        for (let i = 0; i < n; i++) {
+            log.push('shot');
+            yield;
+        }
+        return 'fired ' + n;
+    }
+    const routine = obj.startCoroutine(function* (self) {
+        yield MALC.wait(100);
+        log.push('waited');
+        log.push(yield shoot(2));
+        yield MALC.until(() => self.x > 5);
+        log.push('moved');
+    });
+
+    MALC.step(5);
+    assert.deepStrictEqual(log, []);
+    MALC.step(10);
+    assert.deepStrictEqual(log, ['waited', 'shot', 'shot', 'fired 2']);
+    obj.x = 10;
+    MALC.step(2);
+    assert.strictEqual(log[log.length - 1], 'moved');
+    assert.strictEqual(routine.state, 'finished');
+    MALC.dispose();
+});
+
+test('stopping a coroutine runs its finally block', () => {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('coroutine-stop', 0);
+    MALC.Scene.switchToScene('coroutine-stop');
+
+    let cleanedUp = false;
+    const routine = level.startCoroutine(function* () {
+        try {
+            while (true) yield MALC.wait(100);
+        } finally {
+            cleanedUp = true;
+        }
+    });
+    MALC.step(3);
+    routine.stop();
+    assert.strictEqual(cleanedUp, true);
+    assert.strictEqual(routine.state, 'stopped');
+    MALC.dispose();
+});
+
+test('waits follow the scene time scale', () => {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('coroutine-scale', 0);
+    MALC.Scene.switchToScene('coroutine-scale');
+    MALC.step(1);
+    level.setTimeScale(0.5);
+
+    let done = false;
+    level.startCoroutine(function* () {
+        yield MALC.wait(100);
+        done = true;
+    });
+    MALC.step(10);
+    assert.strictEqual(done, false);
+    MALC.step(5);
+    assert.strictEqual(done, true);
+    MALC.dispose();
+});
@@ -0,0 +1,70 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup(id) {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene(id, 0);
+    MALC.Scene.switchToScene(id);
+    MALC.step(1);
+    return level;
+}
+
+test('dispose forgets scenes, objects, tweens and listeners', () => {
+    const level = setup('dispose-clear');
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'dispose-clear');
+    level.addObject(obj);
+    const tween = MALC.tween(obj, { x: 100 }, 1000);
+    let systemRuns = 0;
+    let pings = 0;
+    MALC.addSystem('physics', () => systemRuns++);
+    MALC.on('ping', () => pings++);
+    MALC.step(1);
+
+    MALC.dispose();
+    assert.strictEqual(MALC.initialized, false);
+    assert.strictEqual(MALC.Scene.getAllScenes().length, 0);
+    assert.strictEqual(MALC.gameObject.objects.length, 0);
+    assert.strictEqual(MALC.getObjectById(obj.id), null);
+    assert.strictEqual(tween.state, 'cancelled');
+
+    systemRuns = 0;
+    setup('dispose-after');
+    MALC.step(2);
+    MALC.emit('ping');
+    assert.strictEqual(systemRuns, 0);
+    assert.strictEqual(pings, 0);
+    MALC.dispose();
+});
+
+test('init twice boots a fresh game instead of stacking a second one', () => {
+    setup('dispose-twice');
+    new MALC.gameObject(0, 0, 10, 10, 'dispose-twice');
+    MALC.init('2D', { headless: true });
+    assert.deepStrictEqual(
+        MALC.Scene.getAllScenes().map(s => s.id).filter(id => id === 'dispose-twice'),
+        []
+    );
+    assert.strictEqual(MALC.gameObject.objects.length, 0);
+    MALC.dispose();
+});
+
+test('restart keeps systems and event bus listeners', () => {
+    setup('dispose-restart');
+    let systemRuns = 0;
+    let pings = 0;
+    MALC.addSystem('physics', () => systemRuns++);
+    MALC.on('ping', () => pings++);
+    MALC.setTimeScale(0.5);
+
+    MALC.restart();
+    assert.strictEqual(MALC.initialized, true);
+    assert.strictEqual(MALC.headless, true);
+    assert.strictEqual(MALC.timeScale, 1);
+    MALC.step(2);
+    MALC.emit('ping');
+    assert.strictEqual(systemRuns, 2);
+    assert.strictEqual(pings, 1);
+    MALC.dispose();
+});
@@ -0,0 +1,103 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+test('on, once and off on the event bus', () => {
+    MALC.init('2D', { headless: true });
+    const got = [];
+    const listener = value => got.push(value);
+    MALC.on('scored', listener);
+    MALC.once('scored', value => got.push('once ' + value));
+
+    assert.strictEqual(MALC.emit('scored', 10), true);
+    MALC.emit('scored', 20);
+    MALC.off('scored', listener);
+    assert.strictEqual(MALC.emit('scored', 30), false);
+    assert.deepStrictEqual(got, [10, 'once 10', 20]);
+    MALC.dispose();
+});
+
+test('once and on with the same function remove only the once', () => {
+    MALC.init('2D', { headless: true });
+    let calls = 0;
+    const listener = () => calls++;
+    MALC.on('tick', listener);
+    MALC.once('tick', listener);
+
+    MALC.emit('tick');
+    MALC.emit('tick');
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(MALC.events.listenerCount('tick'), 1);
+    MALC.dispose();
+});
+
+test('a once listener that emits its own event runs once', () => {
+    MALC.init('2D', { headless: true });
+    let calls = 0;
+    MALC.once('again', () => {
+        calls++;
+        MALC.emit('again');
+    });
+    MALC.emit('again');
+    assert.strictEqual(calls, 1);
+    MALC.dispose();
+});
+
+test('scene switches fire activate, deactivate and switch', () => {
+    MALC.init('2D', { headless: true });
+    const game = new MALC.Scene('events-game', 0);
+    const menu = new MALC.Scene('events-menu', 0);
+    const log = [];
+    game.on('activate', scene => log.push('activate ' + scene.id));
+    game.on('deactivate', scene => log.push('deactivate ' + scene.id));
+    MALC.on('switch', (from, to) => log.push('switch ' + (from && from.id) + ' ' + to.id));
+
+    MALC.Scene.switchToScene('events-game');
+    MALC.step(1);
+    MALC.Scene.switchToScene('events-menu');
+    MALC.step(1);
+    assert.deepStrictEqual(log, [
+        'activate events-game',
+        'switch null events-game',
+        'deactivate events-game',
+        'switch events-game events-menu'
+    ]);
+    assert.ok(menu.active);
+    MALC.dispose();
+});
+
+test('objects emit collide, grounded and destroyed', () => {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('events-objects', 0);
+    const floor = new MALC.gameObject(200, 290, 400, 20, 'events-objects');
+    const player = new MALC.gameObject(200, 200, 20, 20, 'events-objects');
+    player.gravity.enabled = true;
+    level.addObjects([floor, player]);
+    MALC.Scene.switchToScene('events-objects');
+
+    const log = [];
+    player.on('collide', other => log.push('collide ' + (other === floor)));
+    player.on('grounded', ground => log.push('grounded ' + (ground === floor)));
+    player.on('destroyed', () => log.push('destroyed'));
+    MALC.step(120);
+    player.destroy();
+    player.destroy();
+
+    assert.ok(log.includes('collide true'));
+    assert.ok(log.includes('grounded true'));
+    assert.strictEqual(log.filter(e => e === 'destroyed').length, 1);
+    MALC.dispose();
+});
+
+test('each world has its own bus', () => {
+    MALC.init('2D', { headless: true });
+    const world = MALC.createWorld();
+    let calls = 0;
+    world.on('ping', () => calls++);
+    MALC.emit('ping');
+    assert.strictEqual(calls, 0);
+    world.emit('ping');
+    assert.strictEqual(calls, 1);
+    MALC.dispose();
+});
@@ -0,0 +1,57 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+test('init runs headless in Node without a browser or p5', () => {
+    assert.strictEqual(typeof window, 'undefined');
+    MALC.init('2D', { width: 320, height: 240 });
+    assert.strictEqual(MALC.headless, true);
+    assert.strictEqual(MALC._state.renderer.width, 320);
+    assert.strictEqual(MALC.camera.width, 320);
+    MALC.dispose();
+});
+
+test('the clock follows simulated frames, not the wall clock', () => {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('headless-clock', 0);
+    MALC.Scene.switchToScene('headless-clock');
+    level.addObject(new MALC.gameObject(0, 0, 10, 10, 'headless-clock'));
+
+    const start = MALC.timer;
+    MALC.step(60);
+    assert.ok(Math.abs(MALC.timer - start - 1000) < 1);
+    assert.ok(Math.abs(MALC.simulationTime - 1) < 1e-9);
+    MALC.dispose();
+});
+
+test('simulated key presses reach the keyboard handler', () => {
+    MALC.init('2D', { headless: true });
+    MALC.keyboard.press('A', { shift: true });
+    assert.strictEqual(MALC.keyboard.keys.a.pressed, true);
+    assert.strictEqual(MALC.keyboard.keys.a.modifiers.shift, true);
+
+    MALC.keyboard.release('a');
+    assert.strictEqual(MALC.keyboard.keys.a.pressed, false);
+    MALC.dispose();
+});
+
+test('a simulated click on a button fires its click event', () => {
+    MALC.init('2D', { headless: true });
+    const menu = new MALC.Scene('headless-menu', 0);
+    const button = new MALC.Button(100, 100, 80, 30, 'Play', 'headless-menu');
+    menu.addObject(button);
+    MALC.Scene.switchToScene('headless-menu');
+    MALC.step(1);
+
+    let clicks = 0;
+    button.on('click', () => clicks++);
+    MALC.mouse.moveTo(100, 100).press();
+    MALC.step(1);
+    assert.strictEqual(button.isPressed, true);
+
+    MALC.mouse.release();
+    MALC.step(1);
+    assert.strictEqual(clicks, 1);
+    MALC.dispose();
+});
@@ -0,0 +1,93 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup() {
+    MALC.init('2D', { headless: true, width: 400, height: 300 });
+    const level = new MALC.Scene('hierarchy', 0);
+    const tank = new MALC.gameObject(100, 100, 40, 20, 'hierarchy');
+    const turret = new MALC.gameObject(0, 0, 10, 10);
+    const barrel = new MALC.gameObject(20, 0, 20, 4);
+    tank.addChild(turret);
+    turret.addChild(barrel);
+    level.addObject(tank);
+    MALC.Scene.switchToScene('hierarchy');
+    MALC.step(1);
+    return { level, tank, turret, barrel };
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('children join their parent scene and follow its transform', () => {
+    const { level, tank, barrel } = setup();
+    assert.strictEqual(level.objects.length, 3);
+    assert.strictEqual(barrel.active, true);
+
+    tank.rotation = 90;
+    tank.scale = 2;
+    const world = barrel.getWorldTransform();
+    close(world.x, 100);
+    close(world.y, 140);
+    assert.strictEqual(world.rotation, 90);
+    assert.strictEqual(world.scale, 2);
+    MALC.dispose();
+});
+
+test('world positions convert back into local coordinates', () => {
+    const { tank, barrel } = setup();
+    tank.rotation = 90;
+    tank.scale = 2;
+    barrel.setWorldPosition(100, 200);
+    close(barrel.x, 50);
+    close(barrel.y, 0);
+
+    const other = new MALC.gameObject(95, 195, 10, 10, 'hierarchy');
+    assert.strictEqual(barrel.collidesWith(other), true);
+    assert.strictEqual(tank.collidesWith(other), false);
+    MALC.dispose();
+});
+
+test('detaching or reattaching can keep the world transform', () => {
+    const { tank, turret, barrel } = setup();
+    tank.rotation = 90;
+    tank.scale = 2;
+    barrel.setWorldPosition(100, 200);
+
+    turret.removeChild(barrel);
+    assert.strictEqual(barrel.parent, null);
+    close(barrel.x, 100);
+    close(barrel.y, 200);
+
+    turret.addChild(barrel, true);
+    const world = barrel.getWorldTransform();
+    close(world.x, 100);
+    close(world.y, 200);
+    close(world.rotation, 90);
+    MALC.dispose();
+});
+
+test('an object cannot become a child of its own descendant', (t) => {
+    const { tank, barrel } = setup();
+    const error = t.mock.method(console, 'error', () => {});
+    barrel.addChild(tank);
+    assert.strictEqual(error.mock.callCount(), 1);
+    assert.strictEqual(tank.parent, null);
+    MALC.dispose();
+});
+
+test('clones copy the subtree and destroy takes the children along', () => {
+    const { level, tank, turret, barrel } = setup();
+    const copy = tank.clone();
+    assert.strictEqual(copy.children.length, 1);
+    assert.notStrictEqual(copy.children[0], turret);
+    assert.strictEqual(copy.children[0].children.length, 1);
+    assert.strictEqual(turret.children.length, 1);
+
+    tank.destroy();
+    MALC.step(1);
+    assert.strictEqual(turret.destroyed, true);
+    assert.strictEqual(barrel.destroyed, true);
+    assert.ok(!level.objects.includes(barrel));
+    MALC.dispose();
+});
@@ -0,0 +1,72 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup() {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('layers', 0);
+    const make = (name, y) => {
+        const obj = new MALC.gameObject(0, y, 10, 10, 'layers');
+        obj.name = name;
+        level.addObject(obj);
+        return obj;
+    };
+    return { level, make };
+}
+
+const order = level => level.getRenderOrder().map(o => o.name);
+
+test('objects draw by layer, then zIndex, then insertion order', () => {
+    const { level, make } = setup();
+    make('player', 50);
+    make('hud', 0).setLayer('overlay');
+    make('deco', 0).setLayer('background');
+    make('top', 0).setZIndex(5);
+    make('fog', 0).setLayer('foreground');
+    make('enemy', 10);
+    assert.deepStrictEqual(order(level), ['deco', 'player', 'enemy', 'top', 'fog', 'hud']);
+    MALC.dispose();
+});
+
+test('unknown layers draw with the world layer', () => {
+    const { level, make } = setup();
+    make('deco', 0).setLayer('background');
+    make('odd', 0).setLayer('nope');
+    make('fog', 0).setLayer('foreground');
+    assert.deepStrictEqual(order(level), ['deco', 'odd', 'fog']);
+    MALC.dispose();
+});
+
+test('y-sorted layers draw lower objects in front', () => {
+    const { level, make } = setup();
+    make('low', 100);
+    make('high', 10);
+    make('middle', 50);
+    level.setYSort('world');
+    assert.deepStrictEqual(order(level), ['high', 'middle', 'low']);
+    MALC.dispose();
+});
+
+test('hidden layers are skipped and new layers slot into the order', () => {
+    const { level, make } = setup();
+    make('player', 0);
+    make('fog', 0).setLayer('foreground');
+    level.setLayerVisible('foreground', false);
+    assert.strictEqual(level.isLayerVisible('foreground'), false);
+    assert.deepStrictEqual(order(level), ['player']);
+
+    level.addLayer('sky', 0);
+    make('cloud', 0).setLayer('sky');
+    assert.deepStrictEqual(order(level), ['cloud', 'player']);
+    MALC.dispose();
+});
+
+test('children are drawn with their parent, not on their own', () => {
+    const { level, make } = setup();
+    const parent = make('parent', 0);
+    const child = make('child', 0).setLayer('overlay');
+    parent.addChild(child);
+    assert.deepStrictEqual(order(level), ['parent']);
+    MALC.dispose();
+});
@@ -0,0 +1,103 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup(id) {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene(id, 0);
+    MALC.Scene.switchToScene(id);
+    MALC.step(1);
+    return level;
+}
+
+test('frames of any length run whole fixed ticks and keep the remainder', () => {
+    setup('loop-ticks');
+    const start = MALC.ticks;
+
+    MALC.update(0.04);
+    assert.strictEqual(MALC.ticks - start, 2);
+    assert.ok(Math.abs(MALC.alpha - 0.4) < 1e-9);
+    assert.ok(Math.abs(MALC.deltaTime - 1 / 60) < 1e-12);
+
+    MALC.update(0.01);
+    assert.strictEqual(MALC.ticks - start, 3);
+    MALC.dispose();
+});
+
+test('a long frame is clamped instead of spiralling into catch-up', () => {
+    setup('loop-clamp');
+    const start = MALC.ticks;
+
+    MALC.update(10);
+    assert.strictEqual(MALC.ticks - start, MALC.maxStepsPerFrame);
+    assert.ok(MALC.alpha < 1);
+    MALC.dispose();
+});
+
+test('movement covers the same distance at any frame rate', () => {
+    const distance = frameTime => {
+        const level = setup('loop-rate');
+        const obj = new MALC.gameObject(0, 0, 10, 10, 'loop-rate');
+        obj.velocityMode = 'cartesian';
+        obj.velocity = [1, 0];
+        level.addObject(obj);
+        MALC.step(1);
+        const start = obj.x;
+        for (let t = 0; t < 1 - 1e-9; t += frameTime) MALC.update(frameTime);
+        const moved = obj.x - start;
+        MALC.dispose();
+        return moved;
+    };
+
+    const at30 = distance(1 / 30);
+    const at120 = distance(1 / 120);
+    assert.ok(Math.abs(at30 - 60) <= 1);
+    assert.ok(Math.abs(at120 - 60) <= 1);
+});
+
+test('the tick rate can be changed', () => {
+    setup('loop-rate-change');
+    MALC.setTickRate(30);
+    const start = MALC.ticks;
+    MALC.update(0.1);
+    assert.strictEqual(MALC.ticks - start, 3);
+    assert.ok(Math.abs(MALC.deltaTime - 1 / 30) < 1e-12);
+    MALC.dispose();
+});
+
+test('interpolation is off unless asked for', () => {
+    setup('loop-interpolate-default');
+    assert.strictEqual(MALC.interpolate, false);
+    MALC.dispose();
+});
+
+test('interpolated positions include movement made by scripts', () => {
+    const level = setup('loop-interpolate');
+    MALC.interpolate = true;
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'loop-interpolate');
+    obj.scripts.push(self => { self.x += 10; });
+    level.addObject(obj);
+    MALC.step(1);
+
+    const x = obj.x;
+    assert.strictEqual(obj.getRenderPosition(0).x, x - 10);
+    assert.strictEqual(obj.getRenderPosition(0.5).x, x - 5);
+    assert.strictEqual(obj.getRenderPosition(1).x, x);
+    MALC.dispose();
+});
+
+test('setPosition jumps without sliding when interpolating', () => {
+    const level = setup('loop-teleport');
+    MALC.interpolate = true;
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'loop-teleport');
+    level.addObject(obj);
+    MALC.step(1);
+
+    obj.setPosition(500, 200);
+    assert.deepStrictEqual(
+        { x: obj.getRenderPosition(0).x, y: obj.getRenderPosition(0).y },
+        { x: 500, y: 200 }
+    );
+    MALC.dispose();
+});
@@ -0,0 +1,101 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup() {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('pipeline', 0);
+    MALC.Scene.switchToScene('pipeline');
+    MALC.step(1);
+    return level;
+}
+
+test('stages run in pipeline order with systems around them', () => {
+    setup();
+    const order = [];
+    MALC.stages.forEach(stage => {
+        MALC.addSystem(stage, () => order.push('before ' + stage), 'before');
+        MALC.addSystem(stage, () => order.push(stage), 'after');
+    });
+    MALC.step(1);
+    assert.deepStrictEqual(order, [
+        'before input', 'input',
+        'before scripts', 'scripts',
+        'before physics', 'physics',
+        'before lateUpdate', 'lateUpdate',
+        'before render', 'render',
+        'before ui', 'ui'
+    ]);
+    MALC.dispose();
+});
+
+test('object and scene scripts run once per tick inside the scripts stage', () => {
+    const level = setup();
+    const calls = [];
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'pipeline');
+    level.addObject(obj);
+    obj.scripts.push(() => calls.push('object'));
+    level.addScript(() => calls.push('scene'));
+    MALC.addSystem('scripts', () => calls.push('start'), 'before');
+    MALC.addSystem('scripts', () => calls.push('end'), 'after');
+    MALC.step(1);
+    calls.length = 0;
+
+    MALC.step(3);
+    assert.deepStrictEqual(calls, [
+        'start', 'scene', 'object', 'end',
+        'start', 'scene', 'object', 'end',
+        'start', 'scene', 'object', 'end'
+    ]);
+    MALC.dispose();
+});
+
+test('velocity is applied once per tick, not again when rendering', () => {
+    const level = setup();
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'pipeline');
+    obj.velocityMode = 'cartesian';
+    obj.velocity = [2, 0];
+    level.addObject(obj);
+    MALC.step(1);
+    const start = obj.x;
+
+    MALC.step(10);
+    assert.strictEqual(obj.x - start, 20);
+    MALC.dispose();
+});
+
+test('pausing the game or a zero time scale stops scripts', () => {
+    const level = setup();
+    const obj = new MALC.gameObject(5, 0, 10, 10, 'pipeline');
+    obj.scripts.push(self => { self.x += 1; });
+    level.addObject(obj);
+    MALC.step(1);
+    const start = obj.x;
+
+    MALC.pause();
+    MALC.step(5);
+    assert.strictEqual(obj.x, start);
+
+    MALC.resume();
+    MALC.setTimeScale(0);
+    MALC.step(5);
+    assert.strictEqual(obj.x, start);
+
+    MALC.setTimeScale(1);
+    MALC.step(5);
+    assert.strictEqual(obj.x, start + 5);
+    MALC.dispose();
+});
+
+test('scripts keep running on hidden layers', () => {
+    const level = setup();
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'pipeline');
+    let runs = 0;
+    obj.scripts.push(() => runs++);
+    level.addObject(obj);
+    level.setLayerVisible('world', false);
+    MALC.step(4);
+    assert.ok(runs >= 4);
+    MALC.dispose();
+});
@@ -0,0 +1,89 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+class Health extends MALC.Component {
+    max = 10;
+}
+MALC.registerComponent(Health);
+
+function setup() {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('prefabs', 0);
+    MALC.definePrefab('enemy', {
+        width: 30,
+        height: 20,
+        formatting: { color: 'green' },
+        gravity: { enabled: true, bounce: 0.2 },
+        components: { Health: { max: 5 } },
+        points: 10
+    });
+    return level;
+}
+
+test('instances take the prefab configuration and join the scene', () => {
+    const level = setup();
+    const enemy = MALC.instantiate('enemy', 50, 60, 'prefabs');
+    assert.strictEqual(enemy.x, 50);
+    assert.strictEqual(enemy.y, 60);
+    assert.strictEqual(enemy.width, 30);
+    assert.strictEqual(enemy.formatting.color, 'green');
+    assert.strictEqual(enemy.gravity.enabled, true);
+    assert.strictEqual(enemy.points, 10);
+    assert.strictEqual(enemy.getComponent(Health).max, 5);
+    assert.strictEqual(enemy.prefab, 'enemy');
+    assert.ok(level.objects.includes(enemy));
+    MALC.dispose();
+});
+
+test('prefabs extend each other and overrides win', () => {
+    setup();
+    const names = MALC.loadPrefabs(JSON.stringify({
+        slime: {
+            extends: 'enemy',
+            shape: 'ellipse',
+            gravity: { bounce: 0.8 },
+            components: [{ type: 'Health', data: { max: 20 } }]
+        }
+    }));
+    assert.deepStrictEqual(names, ['slime']);
+
+    const slime = MALC.instantiate('slime', 0, 0, 'prefabs', { formatting: { color: 'red' }, points: 99 });
+    assert.strictEqual(slime.shape.type, 'ellipse');
+    assert.strictEqual(slime.gravity.enabled, true);
+    assert.strictEqual(slime.gravity.bounce, 0.8);
+    assert.strictEqual(slime.formatting.color, 'red');
+    assert.strictEqual(slime.points, 99);
+    assert.strictEqual(slime.components.length, 1);
+    assert.strictEqual(slime.getComponent(Health).max, 20);
+
+    const enemy = MALC.instantiate('enemy', 0, 0, 'prefabs');
+    assert.strictEqual(enemy.formatting.color, 'green');
+    assert.strictEqual(enemy.getComponent(Health).max, 5);
+    MALC.dispose();
+});
+
+test('registered scripts are attached by name', () => {
+    setup();
+    let runs = 0;
+    MALC.registerScript('patrol', () => runs++);
+    MALC.definePrefab('guard', { extends: 'enemy', scripts: ['patrol'] });
+    const guard = MALC.instantiate('guard', 0, 0, 'prefabs');
+    assert.strictEqual(guard.scripts.length, 1);
+
+    MALC.Scene.switchToScene('prefabs');
+    MALC.step(3);
+    assert.ok(runs >= 3);
+    MALC.dispose();
+});
+
+test('unknown prefabs and inheritance loops give null', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    setup();
+    MALC.loadPrefabs({ loopA: { extends: 'loopB' }, loopB: { extends: 'loopA' } });
+    assert.strictEqual(MALC.instantiate('loopA', 0, 0), null);
+    assert.strictEqual(MALC.instantiate('nope', 0, 0), null);
+    assert.strictEqual(error.mock.callCount(), 2);
+    MALC.dispose();
+});
@@ -0,0 +1,82 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup(id) {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene(id, 0);
+    MALC.Scene.switchToScene(id);
+    MALC.step(1);
+    return level;
+}
+
+test('destroying and spawning during a step does not skip other objects', () => {
+    const level = setup('registry-iterate');
+    const objs = [];
+    for (let i = 0; i < 5; i++) objs.push(new MALC.gameObject(i, 0, 5, 5, 'registry-iterate'));
+    level.addObjects(objs);
+    MALC.step(1);
+
+    const updates = objs.map(() => 0);
+    let spawned = null;
+    objs.forEach((obj, i) => obj.scripts.push(self => {
+        updates[i]++;
+        if (self === objs[1] && !spawned) {
+            objs[2].destroy();
+            self.destroy();
+            spawned = new MALC.gameObject(0, 0, 1, 1, 'registry-iterate');
+            level.addObject(spawned);
+        }
+    }));
+
+    MALC.step(1);
+    assert.deepStrictEqual(updates, [1, 1, 0, 1, 1]);
+    assert.ok(level.objects.includes(spawned));
+    assert.ok(!MALC.gameObject.objects.includes(objs[1]));
+    assert.ok(!MALC.gameObject.objects.includes(objs[2]));
+    MALC.dispose();
+});
+
+test('destroyed objects stop at once and leave the lists at the end of the frame', () => {
+    const level = setup('registry-queue');
+    const obj = new MALC.gameObject(0, 0, 5, 5, 'registry-queue');
+    level.addObject(obj);
+    MALC.step(1);
+
+    obj.destroy();
+    assert.strictEqual(obj.destroyed, true);
+    assert.strictEqual(obj.active, false);
+    assert.strictEqual(MALC.getObjectById(obj.id), null);
+    MALC.step(1);
+    assert.ok(!MALC.gameObject.objects.includes(obj));
+    assert.ok(!level.objects.includes(obj));
+    MALC.dispose();
+});
+
+test('getObjectById finds objects and buttons, including renamed ones', () => {
+    const level = setup('registry-lookup');
+    const obj = new MALC.gameObject(0, 0, 5, 5, 'registry-lookup');
+    const button = new MALC.Button(0, 0, 10, 10, 'Go', 'registry-lookup');
+    level.addObjects([obj, button]);
+    assert.strictEqual(MALC.getObjectById(obj.id), obj);
+    assert.strictEqual(MALC.getObjectById(button.id), button);
+
+    const oldId = obj.id;
+    obj.setId('player');
+    assert.strictEqual(MALC.getObjectById('player'), obj);
+    assert.strictEqual(MALC.getObjectById(oldId), null);
+    MALC.dispose();
+});
+
+test('destroying a button removes it from the button list', () => {
+    const level = setup('registry-buttons');
+    const keep = new MALC.Button(0, 0, 10, 10, 'Keep', 'registry-buttons');
+    const drop = new MALC.Button(0, 0, 10, 10, 'Drop', 'registry-buttons');
+    level.addObjects([keep, drop]);
+    drop.destroy();
+    MALC.step(1);
+    assert.deepStrictEqual(MALC.Button.buttons, [keep]);
+    assert.ok(!MALC.gameObject.objects.includes(drop));
+    MALC.dispose();
+});
@@ -0,0 +1,89 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup() {
+    MALC.init('2D', { headless: true });
+    const level1 = new MALC.Scene('level1', 0);
+    new MALC.Scene('level2', 0);
+    const player = new MALC.gameObject(10, 20, 30, 40, 'level1');
+    player.setId('player');
+    level1.addObject(player);
+    MALC.Scene.switchToScene('level1');
+    MALC.step(1);
+    MALC.Scene.switchToScene('level2');
+    MALC.step(1);
+    return { level1, player };
+}
+
+test('save records the scenes, the active scene and the game data', () => {
+    setup();
+    const record = MALC.save('slot1', { coins: 5 });
+    assert.strictEqual(record.activeScene, 'level2');
+    assert.deepStrictEqual(record.scenes.map(s => s.id), ['level1', 'level2']);
+    assert.strictEqual(typeof record.timestamp, 'number');
+    assert.deepStrictEqual(MALC.saves.list().map(s => s.slot), ['slot1']);
+    assert.strictEqual(MALC.saves.has('slot1'), true);
+    MALC.dispose();
+});
+
+test('load puts the world back the way it was saved', () => {
+    const { level1, player } = setup();
+    const events = [];
+    MALC.on('save', slot => events.push('save ' + slot));
+    MALC.on('load', slot => events.push('load ' + slot));
+    MALC.save('slot1', { coins: 5 });
+    const history = [...MALC.Scene.sceneHistory];
+
+    player.x = 999;
+    player.destroy();
+    MALC.Scene.switchToScene('level1');
+    MALC.step(1);
+
+    assert.deepStrictEqual(MALC.load('slot1'), { coins: 5 });
+    assert.strictEqual(MALC.Scene.activeScene, 'level2');
+    assert.deepStrictEqual(MALC.Scene.sceneHistory, history);
+    assert.strictEqual(MALC.getObjectById('player').x, 10);
+    assert.strictEqual(MALC.Scene.getSceneById('level1'), level1);
+    assert.strictEqual(level1.objects.length, 1);
+    assert.deepStrictEqual(events, ['save slot1', 'load slot1']);
+    MALC.dispose();
+});
+
+test('autosave writes its slot on every scene switch', () => {
+    setup();
+    MALC.saves.setAutosave('auto', () => ({ checkpoint: 1 }));
+    assert.strictEqual(MALC.saves.has('auto'), false);
+    MALC.Scene.switchToScene('level1');
+    MALC.step(1);
+    assert.deepStrictEqual(MALC.saves.read('auto').data, { checkpoint: 1 });
+
+    MALC.saves.delete('auto');
+    assert.strictEqual(MALC.saves.has('auto'), false);
+    MALC.dispose();
+});
+
+test('older saves are migrated up to the current version', () => {
+    setup();
+    MALC.save('slot1', { coins: 5 });
+    MALC.saves.version = 3;
+    MALC.saves
+        .addMigration(1, record => { record.data.gold = record.data.coins; return record; })
+        .addMigration(2, record => { record.data.v3 = true; return record; });
+
+    const record = MALC.saves.read('slot1');
+    assert.strictEqual(record.version, 3);
+    assert.deepStrictEqual(record.data, { coins: 5, gold: 5, v3: true });
+    MALC.dispose();
+});
+
+test('missing and corrupt slots load as null', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    setup();
+    assert.strictEqual(MALC.load('nope'), null);
+    MALC.saves.getStorage().setItem('malc.save.bad', '{x');
+    assert.strictEqual(MALC.load('bad'), null);
+    assert.strictEqual(error.mock.callCount(), 1);
+    MALC.dispose();
+});
@@ -0,0 +1,129 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+class Health extends MALC.Component {
+    max = 10;
+}
+MALC.registerComponent(Health);
+
+class Enemy extends MALC.gameObject {
+    constructor(x, y, w, h, power = 1) {
+        super(x, y, w, h);
+        this.power = power;
+    }
+}
+
+function setup() {
+    MALC.init('2D', { headless: true });
+    MALC.registerScript('tick', () => {});
+    MALC.registerScript('hud', () => {});
+    MALC.registerScript('clicked', () => {});
+    MALC.registerSerializer('Enemy', Enemy, {
+        create: data => new Enemy(data.x, data.y, 1, 1, data.data.power),
+        toJSON: enemy => ({ power: enemy.power })
+    });
+
+    const level = new MALC.Scene('level1', [10, 20, 30]);
+    level.addTag('boss');
+
+    const player = new MALC.gameObject(10, 20, 30, 40, 'level1', { shape: 'circle' });
+    player.velocity = [3, 45];
+    player.gravity.enabled = true;
+    player.gravity.bounce = 0.5;
+    player.formatting.color = 'red';
+    player.hitbox.width = 4;
+    player.scripts.push(MALC.Prefab.scripts.tick);
+    player.addComponent(Health, { max: 50 });
+    player.setId('player');
+    player.addChild(new MALC.gameObject(5, 0, 4, 4));
+    level.addObject(player);
+
+    const button = new MALC.Button(100, 100, 80, 20, 'Start', 'level1');
+    button.isDisabled = true;
+    button.onClick = MALC.Prefab.scripts.clicked;
+    button.setColors('red', 'rgba(0, 255, 0, 0.5)', '#0000ff');
+    level.addObject(button);
+
+    level.addObject(new Enemy(1, 2, 3, 4, 7));
+
+    const ui = new MALC.UIPlane(MALC.Prefab.scripts.hud, [], 'level1');
+    ui.formatting.txt.base = 30;
+    return level;
+}
+
+test('a scene round-trips through JSON', () => {
+    const level = setup();
+    const data = JSON.parse(JSON.stringify(level));
+    assert.strictEqual(data.version, 1);
+    assert.deepStrictEqual(data.tags, ['boss']);
+    assert.strictEqual(data.uiPlanes.length, 1);
+
+    const copy = MALC.Scene.fromJSON(data, { id: 'level2' });
+    assert.deepStrictEqual(copy.tags, ['boss']);
+    assert.deepStrictEqual(copy.backColor, [10, 20, 30]);
+
+    const player = copy.objects.find(o => o.shape.type == 'circle');
+    assert.deepStrictEqual(player.velocity, [3, 45]);
+    assert.strictEqual(player.gravity.bounce, 0.5);
+    assert.strictEqual(player.formatting.color, 'red');
+    assert.strictEqual(player.hitbox.width, 4);
+    assert.strictEqual(player.getComponent(Health).max, 50);
+    assert.deepStrictEqual(player.scripts, [MALC.Prefab.scripts.tick]);
+    assert.strictEqual(player.children.length, 1);
+    assert.strictEqual(player.children[0].x, 5);
+
+    const button = copy.objects.find(o => o instanceof MALC.Button);
+    assert.strictEqual(button.formatting.button.text.display, 'Start');
+    assert.strictEqual(button.isDisabled, true);
+    assert.strictEqual(button.onClick, MALC.Prefab.scripts.clicked);
+
+    const enemy = copy.objects.find(o => o instanceof Enemy);
+    assert.strictEqual(enemy.power, 7);
+    assert.strictEqual(enemy.width, 3);
+
+    const ui = copy.getUIPlanes()[0];
+    assert.strictEqual(ui.formatting.txt.base, 30);
+    assert.strictEqual(ui.executable, MALC.Prefab.scripts.hud);
+    MALC.dispose();
+});
+
+test('colours survive saving as plain levels', () => {
+    const level = setup();
+    const button = level.objects.find(o => o instanceof MALC.Button);
+    const saved = button.getProperties().formatting.button.colors;
+    assert.deepStrictEqual(saved.normal, { levels: [255, 0, 0, 255] });
+    assert.deepStrictEqual(saved.hover, { levels: [0, 255, 0, 128] });
+
+    const copy = MALC.Scene.fromJSON(JSON.stringify(level), { id: 'level2' });
+    const colors = copy.objects.find(o => o instanceof MALC.Button).formatting.button.colors;
+    assert.deepStrictEqual(colors.pressed.levels, [0, 0, 255, 255]);
+    assert.strictEqual(colors.disabled, 150);
+    assert.deepStrictEqual(button.clone().formatting.button.colors.normal.levels, [255, 0, 0, 255]);
+    MALC.dispose();
+});
+
+test('existing ids and newer versions are refused', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const level = setup();
+    const json = JSON.stringify(level);
+    assert.strictEqual(MALC.Scene.fromJSON(json), null);
+    assert.strictEqual(MALC.Scene.fromJSON({ schema: 'malc.scene', version: 9 }), null);
+    assert.strictEqual(error.mock.callCount(), 2);
+
+    const replaced = MALC.Scene.fromJSON(json, { replace: true });
+    assert.strictEqual(replaced.objects.length, 4);
+    assert.deepStrictEqual(MALC.getObjectById('player').scenes, ['level1']);
+    MALC.dispose();
+});
+
+test('a cloned scene gets its own copies of every object', () => {
+    const level = setup();
+    const copy = level.clone('copy');
+    assert.strictEqual(copy.objects.length, level.objects.length);
+    assert.ok(copy.objects.every(o => !level.objects.includes(o)));
+    assert.strictEqual(copy.getUIPlanes().length, 1);
+    assert.deepStrictEqual(copy.objects.find(o => o.children.length).children[0].scenes, ['copy']);
+    MALC.dispose();
+});
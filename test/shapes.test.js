@@ -0,0 +1,83 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup() {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('shapes', 0);
+    MALC.Scene.switchToScene('shapes');
+    MALC.step(1);
+    return level;
+}
+
+test('circles collide by distance, not by their bounding box', () => {
+    setup();
+    const circle = new MALC.gameObject(0, 0, 40, 40, 'shapes', { shape: 'circle' });
+    const square = new MALC.gameObject(38, 38, 10, 10, 'shapes');
+    assert.strictEqual(circle.collidesWith(square), false);
+    assert.strictEqual(square.collidesWith(circle), false);
+
+    square.setPosition(16, 16);
+    assert.strictEqual(circle.collidesWith(square), true);
+    MALC.dispose();
+});
+
+test('containsPoint follows each shape', () => {
+    setup();
+    const circle = new MALC.gameObject(0, 0, 40, 40, 'shapes', { shape: 'circle' });
+    const triangle = new MALC.gameObject(200, 0, 40, 40, 'shapes',
+        { shape: { type: 'polygon', points: [[0, -20], [20, 20], [-20, 20]] } });
+    const ellipse = new MALC.gameObject(0, 200, 80, 20, 'shapes', { shape: 'ellipse' });
+
+    assert.strictEqual(circle.containsPoint(10, 10), true);
+    assert.strictEqual(circle.containsPoint(15, 15), false);
+    assert.strictEqual(triangle.containsPoint(200, 15), true);
+    assert.strictEqual(triangle.containsPoint(185, -10), false);
+    assert.strictEqual(ellipse.containsPoint(35, 200), true);
+    assert.strictEqual(ellipse.containsPoint(0, 215), false);
+    MALC.dispose();
+});
+
+test('capsules and lines turn with the object', () => {
+    setup();
+    const capsule = new MALC.gameObject(300, 0, 100, 20, 'shapes', { shape: 'capsule' });
+    capsule.rotation = 90;
+    assert.strictEqual(capsule.containsPoint(300, 45), true);
+    assert.strictEqual(capsule.containsPoint(340, 0), false);
+
+    const line = new MALC.gameObject(0, 100, 100, 4, 'shapes', { shape: 'line' });
+    line.rotation = 45;
+    assert.strictEqual(line.containsPoint(20, 120), true);
+    assert.strictEqual(line.containsPoint(20, 100), false);
+    MALC.dispose();
+});
+
+test('polygons collide only once their edges meet', () => {
+    setup();
+    const hexagon = new MALC.gameObject(100, 0, 40, 40, 'shapes', { shape: { type: 'polygon', sides: 6 } });
+    const triangle = new MALC.gameObject(200, 0, 40, 40, 'shapes',
+        { shape: { type: 'polygon', points: [[0, -20], [20, 20], [-20, 20]] } });
+    assert.strictEqual(triangle.collidesWith(hexagon), false);
+
+    hexagon.setPosition(175, 0);
+    assert.strictEqual(triangle.collidesWith(hexagon), true);
+    assert.strictEqual(hexagon.collidesWith(triangle), true);
+    MALC.dispose();
+});
+
+test('a round button is only hovered inside the circle', () => {
+    const level = setup();
+    const button = new MALC.Button(500, 500, 60, 60, 'O', 'shapes', { shape: 'circle' });
+    level.addObject(button);
+    assert.deepStrictEqual(button.scenes, ['shapes']);
+    assert.strictEqual(button.shape.type, 'circle');
+
+    MALC.mouse.moveTo(528, 528);
+    MALC.step(1);
+    assert.strictEqual(button.isHovered, false);
+    MALC.mouse.moveTo(520, 500);
+    MALC.step(1);
+    assert.strictEqual(button.isHovered, true);
+    MALC.dispose();
+});
@@ -0,0 +1,70 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+// A grid of 20x20 boxes 40px apart, a long ground and a circle far away
+function setup() {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('spatial', 0);
+    const objs = [];
+    for (let i = 0; i < 150; i++) {
+        const obj = new MALC.gameObject((i % 15) * 40, Math.floor(i / 15) * 40, 20, 20, 'spatial');
+        obj.gravity.enabled = i % 2 == 0;
+        objs.push(obj);
+    }
+    objs.push(new MALC.gameObject(300, 600, 700, 20, 'spatial'));
+    objs.push(new MALC.gameObject(2000, 2000, 40, 40, 'spatial', { shape: 'circle' }));
+    level.addObjects(objs);
+    return { level, objs };
+}
+
+// Same query by checking every object
+const bruteForce = (level, x, y, w, h) =>
+    level.objects.filter(o => o.collidesWith({ x: x, y: y, width: w, height: h })).length;
+
+test('queries work before the scene is first stepped', () => {
+    const { level } = setup();
+    assert.strictEqual(level.queryPoint(0, 0).length, 1);
+    assert.strictEqual(level.queryRect(40, 40, 60, 60).length, 9);
+    assert.strictEqual(level.queryRadius(0, 0, 45).length, 4);
+    MALC.dispose();
+});
+
+test('queries test the real shape, not just the cell', () => {
+    const { level } = setup();
+    assert.strictEqual(level.queryPoint(2018, 2018).length, 0);
+    assert.strictEqual(level.queryPoint(2010, 2010).length, 1);
+    MALC.dispose();
+});
+
+test('queries match a brute force search after objects move', () => {
+    const { level, objs } = setup();
+    MALC.Scene.switchToScene('spatial');
+    MALC.step(90);
+
+    const falling = objs.filter(o => o.gravity.enabled);
+    assert.ok(falling.every(o => o.gravity.grounded));
+    assert.strictEqual(level.queryRect(300, 300, 200, 500).length, bruteForce(level, 300, 300, 200, 500));
+    assert.strictEqual(level.queryRect(300, 585, 600, 10).length, bruteForce(level, 300, 585, 600, 10));
+
+    level.setCellSize(16);
+    MALC.step(1);
+    assert.strictEqual(level.queryRect(300, 300, 200, 500).length, bruteForce(level, 300, 300, 200, 500));
+    MALC.dispose();
+});
+
+test('destroyed objects leave the hash and new ones join it at once', () => {
+    const { level, objs } = setup();
+    MALC.Scene.switchToScene('spatial');
+    MALC.step(1);
+
+    const gone = objs[1];
+    gone.destroy();
+    assert.ok(!level.queryPoint(gone.x, gone.y).includes(gone));
+
+    const added = new MALC.gameObject(5000, 5000, 10, 10);
+    level.addObject(added);
+    assert.ok(level.queryPoint(5000, 5000).includes(added));
+    MALC.dispose();
+});
@@ -0,0 +1,79 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+const image = { id: 'IMG', width: 128, height: 64 };
+
+// Record the renderer calls sprites make
+function setup() {
+    MALC.init('2D', { headless: true });
+    const renderer = MALC._state.renderer;
+    const calls = [];
+    ['image', 'tint', 'noTint', 'scale', 'rect'].forEach(name => {
+        renderer[name] = (...args) => calls.push(name + '(' + args.map(a => a && a.id ? a.id : JSON.stringify(a)).join(',') + ')');
+    });
+    const level = new MALC.Scene('sprites', 0);
+    MALC.Scene.switchToScene('sprites');
+    MALC.step(1);
+    return { level, calls };
+}
+
+test('sprite sheets split an image into frames', () => {
+    MALC.init('2D', { headless: true });
+    const sheet = new MALC.SpriteSheet(image, 32, 32);
+    assert.strictEqual(sheet.frameCount, 8);
+    assert.deepStrictEqual(sheet.getFrame(5), { x: 32, y: 32, w: 32, h: 32 });
+
+    const spaced = new MALC.SpriteSheet(image, 30, 30, { margin: 1, spacing: 2 });
+    assert.deepStrictEqual(spaced.getFrame(1), { x: 33, y: 1, w: 30, h: 30 });
+    MALC.dispose();
+});
+
+test('a sheet frame draws flipped, tinted and anchored', () => {
+    const { level, calls } = setup();
+    const sheet = new MALC.SpriteSheet(image, 32, 32);
+    const obj = new MALC.gameObject(100, 100, 20, 40, 'sprites')
+        .setSprite(sheet, { frame: 5, anchor: [0.5, 1], flipX: true, tint: 'red', scale: 2 });
+    level.addObject(obj);
+
+    calls.length = 0;
+    MALC.step(1);
+    assert.deepStrictEqual(calls, [
+        'scale(-1,1)',
+        'tint("red")',
+        'image(IMG,-32,-64,64,64,32,32,32,32)',
+        'noTint()'
+    ]);
+    assert.deepStrictEqual(obj.getSpriteSize(), { width: 64, height: 64 });
+    assert.strictEqual(obj.width, 20);
+    assert.strictEqual(obj.height, 40);
+    MALC.dispose();
+});
+
+test('a whole image draws at its own size and clearSprite goes back to a rectangle', () => {
+    const { level, calls } = setup();
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'sprites').setSprite(image);
+    level.addObject(obj);
+
+    calls.length = 0;
+    MALC.step(1);
+    assert.deepStrictEqual(calls, ['scale(1,1)', 'image(IMG,-64,-32,128,64)']);
+
+    obj.clearSprite();
+    calls.length = 0;
+    MALC.step(1);
+    assert.deepStrictEqual(calls, ['rect(0,0,10,10)']);
+    MALC.dispose();
+});
+
+test('clones keep the sprite and its frame', () => {
+    setup();
+    const sheet = new MALC.SpriteSheet(image, 32, 32);
+    const obj = new MALC.gameObject(0, 0, 10, 10).setSprite(sheet, { frame: 3 });
+    const copy = obj.clone();
+    assert.strictEqual(copy.sprite.frame, 3);
+    copy.setFrame(4);
+    assert.strictEqual(obj.sprite.frame, 3);
+    MALC.dispose();
+});
@@ -0,0 +1,78 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup(id) {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene(id, 0);
+    const obj = new MALC.gameObject(0, 0, 10, 10, id);
+    obj.velocityMode = 'cartesian';
+    obj.velocity = [1, 0];
+    level.addObject(obj);
+    MALC.Scene.switchToScene(id);
+    MALC.step(1);
+    return { level, obj };
+}
+
+test('slow motion keeps the tick rate and shortens each tick', () => {
+    const { obj } = setup('time-slow');
+    MALC.setTimeScale(0.5);
+    const ticks = MALC.ticks;
+    const x = obj.x;
+    const time = MALC.simulationTime;
+
+    MALC.step(60);
+    assert.strictEqual(MALC.ticks - ticks, 60);
+    assert.ok(Math.abs(MALC.deltaTime - 1 / 120) < 1e-12);
+    assert.ok(Math.abs(MALC.simulationTime - time - 0.5) < 1e-9);
+    assert.ok(Math.abs(obj.x - x - 30) < 1e-9);
+    MALC.dispose();
+});
+
+test('pause stops the simulation and resume restores the time scale', () => {
+    const { obj } = setup('time-pause');
+    MALC.setTimeScale(0.5);
+    MALC.pause();
+    assert.strictEqual(MALC.isPaused(), true);
+
+    const x = obj.x;
+    const alpha = MALC.alpha;
+    MALC.step(30);
+    MALC.update(0.007);
+    assert.strictEqual(obj.x, x);
+    assert.strictEqual(MALC.alpha, alpha);
+
+    MALC.resume();
+    assert.strictEqual(MALC.timeScale, 0.5);
+    MALC.dispose();
+});
+
+test('stepFrame runs single ticks while paused', () => {
+    const { obj } = setup('time-step');
+    MALC.pause();
+    const x = obj.x;
+
+    MALC.stepFrame(2);
+    MALC.update(0);
+    assert.strictEqual(obj.x, x + 2);
+    MALC.update(0);
+    assert.strictEqual(obj.x, x + 2);
+    MALC.dispose();
+});
+
+test('a scene can be paused or sped up on its own', () => {
+    const { level, obj } = setup('time-scene');
+    const x = obj.x;
+
+    level.pause();
+    MALC.step(10);
+    assert.strictEqual(obj.x, x);
+
+    level.resume();
+    level.setTimeScale(2);
+    MALC.step(10);
+    assert.strictEqual(obj.x, x + 20);
+    assert.strictEqual(MALC.timeScale, 1);
+    MALC.dispose();
+});
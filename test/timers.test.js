@@ -0,0 +1,95 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup(id) {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene(id, 0);
+    MALC.Scene.switchToScene(id);
+    MALC.step(1);
+    return level;
+}
+
+test('after calls once when its scene time has passed', () => {
+    const level = setup('timers-after');
+    let calls = 0;
+    level.after(500, () => calls++);
+
+    MALC.step(29);
+    assert.strictEqual(calls, 0);
+    MALC.step(2);
+    assert.strictEqual(calls, 1);
+    MALC.step(60);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(level.timers.length, 0);
+    MALC.dispose();
+});
+
+test('every repeats until cancelled from its callback', () => {
+    const level = setup('timers-every');
+    const counts = [];
+    level.every(100, (scene, timer) => {
+        assert.strictEqual(scene, level);
+        counts.push(timer.count);
+        if (timer.count === 3) timer.cancel();
+    });
+
+    MALC.step(60);
+    assert.deepStrictEqual(counts, [1, 2, 3]);
+    MALC.dispose();
+});
+
+test('a cancelled timer never fires', () => {
+    const level = setup('timers-cancel');
+    let calls = 0;
+    level.after(100, () => calls++).cancel();
+    MALC.step(20);
+    assert.strictEqual(calls, 0);
+    MALC.dispose();
+});
+
+test('timers follow scene pause and time scale', () => {
+    const level = setup('timers-scale');
+    let calls = 0;
+    const timer = level.after(500, () => calls++);
+
+    level.pause();
+    MALC.step(60);
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(timer.remaining, 500);
+
+    level.resume();
+    MALC.setTimeScale(0.5);
+    MALC.step(59);
+    assert.strictEqual(calls, 0);
+    MALC.step(2);
+    assert.strictEqual(calls, 1);
+    MALC.dispose();
+});
+
+test('a paused timer holds its place', () => {
+    const level = setup('timers-hold');
+    let calls = 0;
+    const timer = level.after(200, () => calls++);
+    MALC.step(6);
+    timer.pause();
+    MALC.step(30);
+    assert.strictEqual(calls, 0);
+
+    timer.resume();
+    MALC.step(7);
+    assert.strictEqual(calls, 1);
+    MALC.dispose();
+});
+
+test('resetting a scene clears its timers', () => {
+    const level = setup('timers-reset');
+    let calls = 0;
+    level.every(100, () => calls++);
+    level.reset();
+    MALC.step(30);
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(level.timers.length, 0);
+    MALC.dispose();
+});
@@ -0,0 +1,80 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+function setup(id) {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene(id, 0);
+    MALC.Scene.switchToScene(id);
+    MALC.step(1);
+    return level;
+}
+
+test('a tween reaches its target and resolves finished', async () => {
+    const level = setup('tween-basic');
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'tween-basic');
+    level.addObject(obj);
+
+    const tween = MALC.tween(obj, { x: 100, y: '+=20' }, 100);
+    MALC.step(20);
+    assert.strictEqual(tween.state, 'finished');
+    assert.strictEqual(obj.x, 100);
+    assert.strictEqual(obj.y, 20);
+    assert.strictEqual(await tween.finished, obj);
+    MALC.dispose();
+});
+
+test('a yoyo tween that repeats ends where it started', () => {
+    const level = setup('tween-yoyo');
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'tween-yoyo');
+    level.addObject(obj);
+
+    const tween = MALC.tween(obj, { x: 50 }, 100, 'quadInOut', { repeat: 1, yoyo: true });
+    MALC.step(40);
+    assert.strictEqual(tween.state, 'finished');
+    assert.strictEqual(obj.x, 0);
+    MALC.dispose();
+});
+
+test('destroying the target cancels its tween', () => {
+    const level = setup('tween-destroy');
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'tween-destroy');
+    level.addObject(obj);
+
+    const tween = MALC.tween(obj, { x: 100 }, 1000);
+    MALC.step(2);
+    obj.destroy();
+    MALC.step(2);
+    assert.strictEqual(tween.state, 'cancelled');
+    MALC.dispose();
+});
+
+test('sequence runs tweens one after another', () => {
+    const level = setup('tween-sequence');
+    const obj = new MALC.gameObject(0, 0, 10, 10, 'tween-sequence');
+    level.addObject(obj);
+
+    MALC.sequence([
+        MALC.tween(obj, { x: 10 }, 50),
+        MALC.tween(obj, { y: 10 }, 50)
+    ]);
+    MALC.step(2);
+    assert.ok(obj.x > 0);
+    assert.strictEqual(obj.y, 0);
+    MALC.step(20);
+    assert.strictEqual(obj.x, 10);
+    assert.strictEqual(obj.y, 10);
+    MALC.dispose();
+});
+
+test('a tween on a global UI plane runs in whatever scene is active', () => {
+    setup('tween-ui');
+    const ui = new MALC.UIPlane(() => {});
+
+    const tween = MALC.tween(ui, { 'formatting.orientation.1': 100 }, 100);
+    MALC.step(20);
+    assert.strictEqual(tween.state, 'finished');
+    assert.strictEqual(ui.formatting.orientation[1], 100);
+    MALC.dispose();
+});
@@ -0,0 +1,128 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+// Ground along the bottom, a wall at x 300, a roof on the left and a
+// one-way platform on the right, with the player standing on the ground
+function setup() {
+    MALC.init('2D', { headless: true });
+    const level = new MALC.Scene('walls', 0);
+    const ground = new MALC.gameObject(400, 500, 800, 20, 'walls');
+    const wall = new MALC.gameObject(300, 440, 20, 100, 'walls');
+    const roof = new MALC.gameObject(100, 300, 200, 20, 'walls');
+    const platform = new MALC.gameObject(600, 400, 100, 10, 'walls').setOneWay();
+    const player = new MALC.gameObject(100, 470, 20, 20, 'walls');
+    player.gravity.enabled = true;
+    level.addObjects([ground, wall, roof, platform, player]);
+    MALC.Scene.switchToScene('walls');
+    MALC.step(60);
+    return { level, ground, wall, roof, platform, player };
+}
+
+test('jumping into a ceiling stops the rise', () => {
+    const { player, roof } = setup();
+    assert.strictEqual(player.gravity.grounded, true);
+    assert.strictEqual(player.y, 480);
+
+    const hits = [];
+    player.on('collide', other => hits.push(other));
+    player.gravity.velocity = -15;
+    let touched = false;
+    for (let i = 0; i < 30; i++) {
+        MALC.step(1);
+        if (player.gravity.touchingCeiling) {
+            touched = true;
+            assert.strictEqual(player.y, 320);
+            assert.ok(player.gravity.velocity >= 0);
+        }
+    }
+    assert.ok(touched);
+    assert.ok(hits.includes(roof));
+    MALC.dispose();
+});
+
+test('walls stop movement from scripts and from velocity', () => {
+    const { player, wall } = setup();
+    for (let i = 0; i < 60; i++) {
+        player.x += 5;
+        MALC.step(1);
+    }
+    assert.strictEqual(player.x, 280);
+    assert.strictEqual(player.gravity.touchingWall, true);
+    assert.strictEqual(player.gravity.wallSide, 1);
+    assert.strictEqual(player.wallObject, wall);
+    assert.strictEqual(player.gravity.grounded, true);
+
+    player.gravity.friction = 0;
+    player.x = 200;
+    player.velocity = [10, 0];
+    MALC.step(30);
+    assert.strictEqual(player.x, 280);
+    assert.strictEqual(player.velocity[0], 0);
+
+    player.velocity = [-3, 0];
+    MALC.step(3);
+    assert.strictEqual(player.gravity.touchingWall, false);
+    MALC.dispose();
+});
+
+test('one-way platforms let you jump up through them and drop down', () => {
+    const { player, platform, ground } = setup();
+    player.x = 600;
+    MALC.step(5);
+    assert.strictEqual(player.y, 480);
+
+    player.gravity.velocity = -16;
+    MALC.step(80);
+    assert.strictEqual(player.gravity.grounded, true);
+    assert.strictEqual(player.groundObject, platform);
+    assert.strictEqual(player.y, 385);
+
+    player.dropThrough();
+    MALC.step(60);
+    assert.strictEqual(player.groundObject, ground);
+    assert.strictEqual(player.y, 480);
+    MALC.dispose();
+});
+
+test('resolveCollision with a one-way platform only pushes up from above', () => {
+    const { level, platform } = setup();
+    const below = new MALC.gameObject(600, 405, 10, 10);
+    level.addObject(below);
+    below.previous = { x: 600, y: 405, rotation: 0 };
+    assert.strictEqual(below.resolveCollision(platform), null);
+
+    below.y = 398;
+    below.previous = { x: 600, y: 390, rotation: 0 };
+    assert.ok(below.resolveCollision(platform));
+    assert.strictEqual(below.y, 390);
+    MALC.dispose();
+});
+
+test('fast falls do not tunnel and bounces lose height', () => {
+    const { level } = setup();
+    MALC.gameObject.terminalVelocity = 60;
+    const fast = new MALC.gameObject(700, 0, 20, 20);
+    fast.gravity.enabled = true;
+    fast.gravity.velocity = 60;
+    level.addObject(fast);
+    MALC.step(30);
+    assert.strictEqual(fast.gravity.grounded, true);
+    assert.strictEqual(fast.y, 480);
+
+    const ball = new MALC.gameObject(450, 350, 10, 10);
+    ball.gravity.enabled = true;
+    ball.gravity.bounce = 0.5;
+    level.addObject(ball);
+    let bounces = 0;
+    let last = 0;
+    for (let i = 0; i < 200; i++) {
+        MALC.step(1);
+        if (ball.gravity.velocity < 0 && last >= 0) bounces++;
+        last = ball.gravity.velocity;
+    }
+    assert.ok(bounces >= 2);
+    assert.ok(ball.y <= 485);
+    MALC.dispose();
+});
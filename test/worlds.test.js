@@ -0,0 +1,90 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const MALC = require('../malc.js');
+
+// Enough of an event target to stand in for window or a canvas
+function eventTarget(extra = {}) {
+    const listeners = {};
+    return Object.assign({
+        listeners,
+        addEventListener(type, fn) { (listeners[type] = listeners[type] || []).push(fn); },
+        removeEventListener(type, fn) { listeners[type] = (listeners[type] || []).filter(f => f !== fn); },
+        fire(type, event) { (listeners[type] || []).forEach(fn => fn(event)); }
+    }, extra);
+}
+
+test('the mouse handler exists before init', () => {
+    assert.ok(MALC.mouse);
+    assert.strictEqual(typeof MALC.mouse.mouse.x, 'number');
+    assert.ok(MALC.createWorld().mouse);
+});
+
+test('worlds keep their own scenes and objects', () => {
+    const a = MALC.createWorld();
+    const b = MALC.createWorld();
+
+    a.init('2D', { headless: true, width: 100, height: 100 });
+    new MALC.Scene('main', 0);
+    new MALC.gameObject(10, 10, 5, 5, 'main');
+    MALC.gameObject.initialize();
+    MALC.Scene.switchToScene('main');
+
+    b.init('2D', { headless: true, width: 200, height: 200 });
+    new MALC.Scene('main', 0);
+    new MALC.gameObject(10, 10, 5, 5, 'main');
+    new MALC.gameObject(20, 10, 5, 5, 'main');
+    MALC.gameObject.initialize();
+    MALC.Scene.switchToScene('main');
+
+    a.step(2);
+    b.step(3);
+    assert.strictEqual(a.ticks, 2);
+    assert.strictEqual(b.ticks, 3);
+    assert.strictEqual(a.camera.width, 100);
+    assert.strictEqual(b.camera.width, 200);
+
+    a.use();
+    assert.strictEqual(MALC.gameObject.objects.length, 1);
+    b.use();
+    assert.strictEqual(MALC.gameObject.objects.length, 2);
+
+    a.dispose();
+    b.dispose();
+    MALC.use();
+});
+
+test('key presses only reach the world whose canvas has focus', () => {
+    global.window = eventTarget();
+    global.navigator = { getGamepads: () => [] };
+    global.requestAnimationFrame = () => 0;
+    global.cancelAnimationFrame = () => {};
+    try {
+        const sketch = canvas => ({ canvas, width: 100, height: 100, mouseX: 0, mouseY: 0 });
+        const first = eventTarget({ tabIndex: -1 });
+        const second = eventTarget({ tabIndex: -1 });
+        const a = MALC.createWorld(sketch(first));
+        const b = MALC.createWorld(sketch(second));
+        a.init('2D');
+        b.init('2D');
+        assert.strictEqual(first.tabIndex, 0);
+
+        first.fire('keydown', {
+            key: 'a', shiftKey: false, ctrlKey: false, altKey: false, metaKey: false,
+            repeat: false, preventDefault() {}
+        });
+        assert.ok(a.keyboard.keyPressed('a'));
+        assert.ok(!b.keyboard.keyPressed('a'));
+        assert.strictEqual((window.listeners.keydown || []).length, 0);
+
+        a.dispose();
+        b.dispose();
+        assert.strictEqual(first.listeners.keydown.length, 0);
+    } finally {
+        delete global.window;
+        delete global.navigator;
+        delete global.requestAnimationFrame;
+        delete global.cancelAnimationFrame;
+        MALC.use();
+    }
+});